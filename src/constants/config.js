@@ -13,4 +13,39 @@ export const CLIENT_ANGULAR_URL = process.env.CLIENT_ANGULAR_URL || 'http://loca
 export const IMAGEKIT_PUBLIC_KEY = process.env.IMAGEKIT_PUBLIC_KEY || ''
 export const IMAGEKIT_PRIVATE_KEY = process.env.IMAGEKIT_PRIVATE_KEY || ''
 export const IMAGEKIT_URL_ENDPOINT =
-  process.env.IMAGEKIT_URL_ENDPOINT || ''
\ No newline at end of file
+  process.env.IMAGEKIT_URL_ENDPOINT || ''
+export const IMAGEKIT_FOLDER = process.env.IMAGEKIT_FOLDER || 'app-pinterest'
+export const STORAGE_PROVIDER =
+  process.env.STORAGE_PROVIDER || (IMAGEKIT_PRIVATE_KEY ? 'imagekit' : 'local')
+export const LOCAL_STORAGE_DIR = process.env.LOCAL_STORAGE_DIR || 'uploads'
+export const LOCAL_STORAGE_URL_PATH =
+  process.env.LOCAL_STORAGE_URL_PATH || '/media'
+export const SERVER_URL = process.env.SERVER_URL || `http://localhost:${PORT}`
+export const PAGE_SIZE_DEFAULT = Number(process.env.PAGE_SIZE_DEFAULT) || 21
+export const PAGE_SIZE_MAX = Number(process.env.PAGE_SIZE_MAX) || 100
+export const TRENDING_CACHE_TTL =
+  Number(process.env.TRENDING_CACHE_TTL) || 5 * 60 * 1000
+export const USERNAME_REDIRECT_DAYS =
+  Number(process.env.USERNAME_REDIRECT_DAYS) || 30
+export const SMTP_HOST = process.env.SMTP_HOST || ''
+export const SMTP_PORT = Number(process.env.SMTP_PORT) || 587
+export const SMTP_SECURE = process.env.SMTP_SECURE === 'true'
+export const SMTP_USER = process.env.SMTP_USER || ''
+export const SMTP_PASS = process.env.SMTP_PASS || ''
+export const MAIL_TRANSPORT =
+  process.env.MAIL_TRANSPORT || (SMTP_HOST ? 'smtp' : 'console')
+export const MAIL_FROM = process.env.MAIL_FROM || 'no-reply@app-pinterest.local'
+export const MAIL_FILE_DIR = process.env.MAIL_FILE_DIR || 'mail'
+export const PASSWORD_RESET_TTL =
+  Number(process.env.PASSWORD_RESET_TTL) || 60 * 60 * 1000
+export const EMAIL_VERIFICATION_TTL =
+  Number(process.env.EMAIL_VERIFICATION_TTL) || 24 * 60 * 60 * 1000
+export const REQUIRE_VERIFIED_EMAIL =
+  process.env.REQUIRE_VERIFIED_EMAIL !== 'false'
+
+// Los transportes `console` y `file` no envían el correo y exponen sus tokens de un solo uso
+if (NODE_ENV === 'prod' && ['console', 'file'].includes(MAIL_TRANSPORT)) {
+  throw new Error(
+    `Configuración no válida: MAIL_TRANSPORT=${MAIL_TRANSPORT} es solo para desarrollo; define SMTP_HOST para usar el transporte smtp en producción`
+  )
+}
@@ -1,60 +1,1507 @@
+import { Types } from 'mongoose'
 import Board from '../models/board.model.js'
+import BoardFollow from '../models/boardFollow.model.js'
 import Pin from '../models/pin.model.js'
+import Save from '../models/save.model.js'
+import User, { USERNAME_COLLATION } from '../models/user.model.js'
+import {
+  buildBoardVisibilityFilter,
+  canViewBoard,
+  getBoardRole,
+  syncBoardPinsVisibility,
+} from '../services/board.service.js'
+import {
+  ensureInteraction,
+  removeSave,
+} from '../services/interaction.service.js'
+import {
+  buildBoardPositionStage,
+  clearBoardCovers,
+  deletePinsWithRelations,
+  getPositionBefore,
+  getTopPosition,
+} from '../services/pin.service.js'
 import { debug, error, info } from '../utils/logger.js'
+import {
+  NEWEST_FIRST,
+  buildPageStages,
+  decodeCursor,
+  getPageSize,
+  toPage,
+  toSortObject,
+} from '../utils/pagination.util.js'
 import { responseReturn } from '../utils/res.util.js'
 
 /**
- * Obtiene los tableros de un usuario específico, incluyendo detalles adicionales como la cantidad de pines
- * y el primer pin de cada tablero.
+ * Obtiene los tableros de un usuario específico con una sola agregación, incluyendo el número
+ * de pines (propios y guardados de otros usuarios), las miniaturas de los primeros pines para
+ * el collage de portada y la fecha del último pin guardado. Los tableros secretos solo se incluyen si el usuario autenticado es su miembro.
  *
  * @async
  * @function getUserBoards
- * @param {import('express').Request} req - Objeto de solicitud de Express, debe contener el parámetro userId.
+ * @param {import('express').Request} req - Objeto de solicitud de Express, debe contener el parámetro userId y admite `sort`, `cursor` y `limit` en la consulta.
  * @param {import('express').Response} res - Objeto de respuesta de Express.
- * @returns {Promise<void>} Devuelve una respuesta HTTP con el listado de tableros y sus detalles, o un error en caso de fallo.
+ * @returns {Promise<void>} Devuelve una respuesta HTTP con la página de tableros y sus detalles junto con `nextCursor`, o un error en caso de fallo.
+ *
+ * @description
+ * Modos de ordenación (`sort`):
+ * - `created` (por defecto): tableros más recientes primero.
+ * - `alphabetical`: por título, sin distinguir mayúsculas.
+ * - `lastSaved`: por la fecha del último pin guardado en el tablero; los tableros vacíos usan su fecha de creación.
+ *
+ * Cada tablero incluye `pinCount`, `lastPinnedAt`, `lastSavedAt` (clave del orden `lastSaved`), `previewPins` (los primeros pines según el orden
+ * del tablero) y `cover` con el pin de portada elegido, que tiene prioridad sobre el collage.
+ * `firstPin` se mantiene por compatibilidad: es la portada o, si no hay, el primer pin.
+ * También incluye `followerCount` e `isFollowing` (si el usuario autenticado sigue el tablero).
  *
  * @throws {Error} Si ocurre un error al obtener los tableros del usuario, se retorna un error 500.
  */
 export const getUserBoards = async (req, res) => {
   debug('Iniciando la obtención de tableros del usuario...', {
     params: req.params,
+    query: req.query,
   })
 
   try {
     const { userId } = req.params
+    const { sort = 'created', cursor, limit } = req.query
+
+    const pageSize = getPageSize(limit)
+    const { stages: sortStages, sortSpec } = buildBoardSortStages(sort)
+    const after = cursor ? decodeCursor(cursor, sortSpec) : null
+
+    if (cursor && !after) {
+      return responseReturn(res, 400, { message: 'Cursor no válido' })
+    }
+
+    const viewerId = req.userId ? new Types.ObjectId(req.userId) : null
+    const matchStage = {
+      $match: {
+        $and: [
+          { user: new Types.ObjectId(userId) },
+          buildBoardVisibilityFilter(viewerId),
+        ],
+      },
+    }
+    const pageStages = buildPageStages(sortSpec, after, pageSize)
+
+    // Si el orden no depende de los pines, se pagina antes de calcular sus estadísticas
+    const pipeline =
+      sort === 'lastSaved'
+        ? [
+            matchStage,
+            ...buildBoardPinStatsStages(),
+            ...sortStages,
+            ...pageStages,
+            ...buildBoardFollowStages(viewerId),
+          ]
+        : [
+            matchStage,
+            ...sortStages,
+            ...pageStages,
+            ...buildBoardPinStatsStages(),
+            ...buildBoardFollowStages(viewerId),
+            { $sort: toSortObject(sortSpec) },
+          ]
+
+    const results = await Board.aggregate(pipeline)
+
+    const { items, nextCursor } = toPage(results, sortSpec, pageSize)
 
-    const boards = await Board.find({ user: userId })
+    const boards = items.map(({ coverPin, ...board }) => {
+      const cover = coverPin ? Pin.hydrate(coverPin) : null
+      const previewPins = board.previewPins.map((pin) => Pin.hydrate(pin))
+
+      // La clave de ordenación alfabética solo sirve para el cursor
+      delete board.titleKey
+
+      return {
+        ...board,
+        cover,
+        previewPins,
+        firstPin: cover || previewPins[0] || null,
+      }
+    })
 
     info('Tableros obtenidos:', {
       userId,
+      sort,
       boardsCount: boards.length,
     })
 
-    const boardsWithPinDetails = await Promise.all(
-      boards.map(async (board) => {
-        const pinCount = await Pin.countDocuments({ board: board._id })
-        const firstPin = await Pin.findOne({ board: board._id })
+    return responseReturn(res, 200, { boards, nextCursor })
+  } catch (err) {
+    error('Error al obtener los tableros del usuario:', {
+      error: err.message,
+      stack: err.stack,
+    })
+
+    return responseReturn(res, 500, {
+      message: 'Error al obtener los tableros del usuario',
+      error: err.message,
+    })
+  }
+}
+
+/**
+ * Crea un nuevo tablero para el usuario autenticado.
+ *
+ * @async
+ * @function createBoard
+ * @param {import('express').Request} req - Objeto de solicitud de Express, debe contener el título y opcionalmente la descripción y la visibilidad en el cuerpo.
+ * @param {import('express').Response} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Devuelve una respuesta HTTP con el tablero creado o un mensaje de error.
+ */
+export const createBoard = async (req, res) => {
+  debug('Iniciando creación de tablero', { body: req.body, userId: req.userId })
+
+  try {
+    const { title, description, visibility } = req.body
+
+    const board = await Board.create({
+      title,
+      description,
+      visibility,
+      user: req.userId,
+    })
+
+    info('Tablero creado con éxito', board)
+
+    return responseReturn(res, 201, board)
+  } catch (err) {
+    error('Error al crear el tablero:', {
+      error: err.message,
+      stack: err.stack,
+    })
+
+    return responseReturn(res, 500, {
+      message: 'Error al crear el tablero',
+      error: err.message,
+    })
+  }
+}
+
+/**
+ * Actualiza el título, la descripción o la visibilidad de un tablero.
+ *
+ * @async
+ * @function updateBoard
+ * @param {import('express').Request} req - Objeto de solicitud de Express, debe contener el ID del tablero en los parámetros y los campos a modificar en el cuerpo.
+ * @param {import('express').Response} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Devuelve una respuesta HTTP con el tablero actualizado o un mensaje de error.
+ *
+ * @description
+ * Solo el propietario del tablero puede modificarlo. Los campos no enviados conservan su valor.
+ * Al cambiar la visibilidad se actualiza también la de todos los pines del tablero.
+ */
+export const updateBoard = async (req, res) => {
+  debug('Iniciando actualización de tablero', {
+    params: req.params,
+    body: req.body,
+    userId: req.userId,
+  })
+
+  try {
+    const board = await findBoardForRoles(req, res, ['owner'])
+
+    if (!board) return
+
+    const { title, description, visibility } = req.body
+
+    if (title !== undefined) board.title = title
+    if (description !== undefined) board.description = description
+    if (visibility !== undefined) board.visibility = visibility
+
+    const visibilityChanged = board.isModified('visibility')
+
+    await board.save()
+
+    if (visibilityChanged) await syncBoardPinsVisibility(board)
+
+    info('Tablero actualizado con éxito', board)
+
+    return responseReturn(res, 200, board)
+  } catch (err) {
+    error('Error al actualizar el tablero:', {
+      error: err.message,
+      stack: err.stack,
+    })
+
+    return responseReturn(res, 500, {
+      message: 'Error al actualizar el tablero',
+      error: err.message,
+    })
+  }
+}
+
+/**
+ * Elimina un tablero y elimina o desasigna sus pines según lo indicado.
+ *
+ * @async
+ * @function deleteBoard
+ * @param {import('express').Request} req - Objeto de solicitud de Express, debe contener el ID del tablero en los parámetros y admite `pins=delete|unassign` en la consulta.
+ * @param {import('express').Response} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Devuelve una respuesta HTTP confirmando la eliminación o un mensaje de error.
+ *
+ * @description
+ * Solo el propietario del tablero puede eliminarlo. Con `pins=delete` los pines del tablero se
+ * eliminan junto con sus likes, guardados, comentarios y archivos; por defecto (`unassign`)
+ * los pines se conservan sin tablero. Los pines de otros usuarios guardados en el tablero
+ * siguen guardados en el perfil de quien los guardó.
+ */
+export const deleteBoard = async (req, res) => {
+  debug('Iniciando eliminación de tablero', {
+    params: req.params,
+    query: req.query,
+    userId: req.userId,
+  })
+
+  try {
+    const board = await findBoardForRoles(req, res, ['owner'])
+
+    if (!board) return
+
+    const pinsAction = req.query.pins || 'unassign'
+
+    if (pinsAction === 'delete') {
+      const pins = await Pin.find({ board: board._id }, 'media')
+
+      await deletePinsWithRelations(pins)
+    } else {
+      await Pin.updateMany(
+        { board: board._id },
+        { $set: { board: null, secret: false, section: null } }
+      )
+    }
+
+    await Promise.all([
+      Save.updateMany(
+        { 'boards.board': board._id },
+        { $pull: { boards: { board: board._id } } }
+      ),
+      BoardFollow.deleteMany({ board: board._id }),
+    ])
+
+    await board.deleteOne()
+
+    info('Tablero eliminado con éxito', {
+      boardId: board._id,
+      pinsAction,
+    })
+
+    return responseReturn(res, 200, { message: 'Tablero eliminado con éxito' })
+  } catch (err) {
+    error('Error al eliminar el tablero:', {
+      error: err.message,
+      stack: err.stack,
+    })
+
+    return responseReturn(res, 500, {
+      message: 'Error al eliminar el tablero',
+      error: err.message,
+    })
+  }
+}
+
+/**
+ * Establece o quita el pin de portada de un tablero.
+ *
+ * @async
+ * @function setBoardCover
+ * @param {import('express').Request} req - Objeto de solicitud de Express, debe contener el ID del tablero en los parámetros y el ID del pin (o null) en el cuerpo.
+ * @param {import('express').Response} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Devuelve una respuesta HTTP con el tablero actualizado o un mensaje de error.
+ *
+ * @description
+ * Solo el propietario del tablero puede cambiar la portada y el pin debe pertenecer al tablero.
+ */
+export const setBoardCover = async (req, res) => {
+  debug('Iniciando cambio de portada de tablero', {
+    params: req.params,
+    body: req.body,
+    userId: req.userId,
+  })
+
+  try {
+    const board = await findBoardForRoles(req, res, ['owner'])
+
+    if (!board) return
+
+    const { pin } = req.body
+
+    if (pin) {
+      const isBoardPin = await Pin.exists({ _id: pin, board: board._id })
+
+      if (!isBoardPin) {
+        return responseReturn(res, 400, {
+          message: 'El pin de portada debe pertenecer al tablero',
+        })
+      }
+    }
+
+    board.cover = pin || null
+
+    await board.save()
+
+    info('Portada del tablero actualizada con éxito', board)
+
+    return responseReturn(res, 200, board)
+  } catch (err) {
+    error('Error al cambiar la portada del tablero:', {
+      error: err.message,
+      stack: err.stack,
+    })
+
+    return responseReturn(res, 500, {
+      message: 'Error al cambiar la portada del tablero',
+      error: err.message,
+    })
+  }
+}
+
+/**
+ * Mueve pines del usuario autenticado a un tablero.
+ *
+ * @async
+ * @function moveBoardPins
+ * @param {import('express').Request} req - Objeto de solicitud de Express, debe contener el ID del tablero destino en los parámetros y el arreglo `pins` en el cuerpo.
+ * @param {import('express').Response} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Devuelve una respuesta HTTP con el número de pines movidos o un mensaje de error.
+ *
+ * @description
+ * Pueden mover pines al tablero su propietario y sus editores, y todos los pines deben
+ * haber sido creados por el usuario que los mueve. Los pines que eran portada de su tablero anterior dejan de serlo.
+ */
+export const moveBoardPins = async (req, res) => {
+  debug('Iniciando movimiento de pines a tablero', {
+    params: req.params,
+    body: req.body,
+    userId: req.userId,
+  })
+
+  try {
+    const board = await findBoardForRoles(req, res, ['owner', 'editor'])
 
-        return {
-          ...board.toObject(),
-          pinCount,
-          firstPin,
-        }
+    if (!board) return
+
+    const { pins } = req.body
+
+    const ownedCount = await Pin.countDocuments({
+      _id: { $in: pins },
+      user: req.userId,
+    })
+
+    if (ownedCount !== new Set(pins).size) {
+      return responseReturn(res, 403, {
+        message: 'Solo puedes mover tus propios pines',
       })
+    }
+
+    // Los pines movidos se colocan al principio del tablero en el orden recibido
+    const topPosition = getTopPosition()
+    const uniquePins = [...new Set(pins)]
+
+    const result = await Pin.bulkWrite(
+      uniquePins.map((pinId, index) => ({
+        updateOne: {
+          filter: { _id: pinId, board: { $ne: board._id } },
+          update: {
+            $set: {
+              board: board._id,
+              secret: board.visibility === 'secret',
+              section: null,
+              position: topPosition + uniquePins.length - index,
+            },
+          },
+        },
+      }))
     )
 
-    info('Detalles de los tableros obtenidos:', boardsWithPinDetails)
+    await clearBoardCovers(pins, board._id)
+
+    info('Pines movidos con éxito', {
+      boardId: board._id,
+      movedCount: result.modifiedCount,
+    })
 
-    return responseReturn(res, 200, boardsWithPinDetails)
+    return responseReturn(res, 200, { movedCount: result.modifiedCount })
   } catch (err) {
-    error('Error al obtener los tableros del usuario:', {
+    error('Error al mover los pines al tablero:', {
       error: err.message,
       stack: err.stack,
     })
 
     return responseReturn(res, 500, {
-      message: 'Error al obtener los tableros del usuario',
+      message: 'Error al mover los pines al tablero',
+      error: err.message,
+    })
+  }
+}
+
+/**
+ * Obtiene el propietario y los colaboradores de un tablero.
+ *
+ * @async
+ * @function getBoardCollaborators
+ * @param {import('express').Request} req - Objeto de solicitud de Express, debe contener el ID del tablero en los parámetros.
+ * @param {import('express').Response} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Devuelve una respuesta HTTP con el propietario y los colaboradores, o un mensaje de error.
+ *
+ * @description
+ * Cualquier usuario que pueda ver el tablero obtiene los colaboradores aceptados. Las invitaciones
+ * pendientes solo se incluyen para el propietario.
+ */
+export const getBoardCollaborators = async (req, res) => {
+  debug('Iniciando obtención de colaboradores del tablero', {
+    params: req.params,
+    userId: req.userId,
+  })
+
+  try {
+    const board = await Board.findById(req.params.id)
+
+    if (!board || !canViewBoard(board, req.userId)) {
+      return responseReturn(res, 404, { message: 'Tablero no encontrado' })
+    }
+
+    const isOwner = getBoardRole(board, req.userId) === 'owner'
+
+    await board.populate([
+      { path: 'user', select: 'username img avatar displayName' },
+      { path: 'collaborators.user', select: 'username img avatar displayName' },
+    ])
+
+    const collaborators = board.collaborators.filter(
+      (collaborator) => isOwner || collaborator.status === 'accepted'
+    )
+
+    info('Colaboradores del tablero obtenidos', {
+      boardId: board._id,
+      collaboratorsCount: collaborators.length,
+    })
+
+    return responseReturn(res, 200, { owner: board.user, collaborators })
+  } catch (err) {
+    error('Error al obtener los colaboradores del tablero:', {
+      error: err.message,
+      stack: err.stack,
+    })
+
+    return responseReturn(res, 500, {
+      message: 'Error al obtener los colaboradores del tablero',
+      error: err.message,
+    })
+  }
+}
+
+/**
+ * Invita a un usuario a colaborar en un tablero.
+ *
+ * @async
+ * @function inviteCollaborator
+ * @param {import('express').Request} req - Objeto de solicitud de Express, debe contener el ID del tablero en los parámetros y `username` y `role` en el cuerpo.
+ * @param {import('express').Response} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Devuelve una respuesta HTTP con el tablero actualizado o un mensaje de error.
+ *
+ * @description
+ * Solo el propietario puede invitar. La invitación queda pendiente hasta que el usuario
+ * invitado la acepta o la rechaza.
+ */
+export const inviteCollaborator = async (req, res) => {
+  debug('Iniciando invitación a tablero', {
+    params: req.params,
+    body: req.body,
+    userId: req.userId,
+  })
+
+  try {
+    const board = await findBoardForRoles(req, res, ['owner'])
+
+    if (!board) return
+
+    const { username, role } = req.body
+
+    const invitedUser = await User.findOne({ username }).collation(
+      USERNAME_COLLATION
+    )
+
+    if (!invitedUser) {
+      return responseReturn(res, 404, {
+        message: `No se encontró un usuario con el nombre de usuario: ${username}`,
+      })
+    }
+
+    if (invitedUser._id.toString() === req.userId) {
+      return responseReturn(res, 400, {
+        message: 'No puedes invitarte a tu propio tablero',
+      })
+    }
+
+    const isAlreadyInvited = board.collaborators.some(
+      (collaborator) => collaborator.user.toString() === invitedUser._id.toString()
+    )
+
+    if (isAlreadyInvited) {
+      return responseReturn(res, 409, {
+        message: 'El usuario ya colabora o tiene una invitación pendiente',
+      })
+    }
+
+    board.collaborators.push({ user: invitedUser._id, role })
+
+    await board.save()
+
+    info('Usuario invitado al tablero', {
+      boardId: board._id,
+      invitedUserId: invitedUser._id,
+      role,
+    })
+
+    return responseReturn(res, 201, board)
+  } catch (err) {
+    error('Error al invitar al tablero:', {
+      error: err.message,
+      stack: err.stack,
+    })
+
+    return responseReturn(res, 500, {
+      message: 'Error al invitar al tablero',
+      error: err.message,
+    })
+  }
+}
+
+/**
+ * Cambia el rol de un colaborador del tablero.
+ *
+ * @async
+ * @function updateCollaboratorRole
+ * @param {import('express').Request} req - Objeto de solicitud de Express, debe contener el ID del tablero y el del colaborador en los parámetros y el nuevo `role` en el cuerpo.
+ * @param {import('express').Response} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Devuelve una respuesta HTTP con el tablero actualizado o un mensaje de error.
+ */
+export const updateCollaboratorRole = async (req, res) => {
+  debug('Iniciando cambio de rol de colaborador', {
+    params: req.params,
+    body: req.body,
+    userId: req.userId,
+  })
+
+  try {
+    const board = await findBoardForRoles(req, res, ['owner'])
+
+    if (!board) return
+
+    const collaborator = board.collaborators.find(
+      (item) => item.user.toString() === req.params.userId
+    )
+
+    if (!collaborator) {
+      return responseReturn(res, 404, { message: 'Colaborador no encontrado' })
+    }
+
+    collaborator.role = req.body.role
+
+    await board.save()
+
+    info('Rol de colaborador actualizado', {
+      boardId: board._id,
+      collaboratorId: req.params.userId,
+      role: req.body.role,
+    })
+
+    return responseReturn(res, 200, board)
+  } catch (err) {
+    error('Error al cambiar el rol del colaborador:', {
+      error: err.message,
+      stack: err.stack,
+    })
+
+    return responseReturn(res, 500, {
+      message: 'Error al cambiar el rol del colaborador',
       error: err.message,
     })
   }
 }
+
+/**
+ * Quita a un colaborador de un tablero o cancela su invitación.
+ *
+ * @async
+ * @function removeCollaborator
+ * @param {import('express').Request} req - Objeto de solicitud de Express, debe contener el ID del tablero y el del colaborador en los parámetros.
+ * @param {import('express').Response} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Devuelve una respuesta HTTP confirmando la operación o un mensaje de error.
+ *
+ * @description
+ * El propietario puede quitar a cualquier colaborador y cada colaborador puede abandonar el tablero.
+ */
+export const removeCollaborator = async (req, res) => {
+  debug('Iniciando eliminación de colaborador', {
+    params: req.params,
+    userId: req.userId,
+  })
+
+  try {
+    const { id, userId: collaboratorId } = req.params
+
+    const board = await Board.findById(id)
+
+    if (!board) {
+      return responseReturn(res, 404, { message: 'Tablero no encontrado' })
+    }
+
+    const isOwner = board.user.toString() === req.userId
+
+    if (!isOwner && collaboratorId !== req.userId) {
+      return responseReturn(res, 403, {
+        message: 'No tienes permiso para quitar a este colaborador',
+      })
+    }
+
+    const result = await Board.updateOne(
+      { _id: board._id },
+      { $pull: { collaborators: { user: collaboratorId } } }
+    )
+
+    if (!result.modifiedCount) {
+      return responseReturn(res, 404, { message: 'Colaborador no encontrado' })
+    }
+
+    info('Colaborador eliminado del tablero', {
+      boardId: board._id,
+      collaboratorId,
+    })
+
+    return responseReturn(res, 200, { message: 'Colaborador eliminado con éxito' })
+  } catch (err) {
+    error('Error al quitar al colaborador:', {
+      error: err.message,
+      stack: err.stack,
+    })
+
+    return responseReturn(res, 500, {
+      message: 'Error al quitar al colaborador',
+      error: err.message,
+    })
+  }
+}
+
+/**
+ * Obtiene las invitaciones pendientes del usuario autenticado.
+ *
+ * @async
+ * @function getBoardInvitations
+ * @param {import('express').Request} req - Objeto de solicitud de Express con el usuario autenticado.
+ * @param {import('express').Response} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Devuelve una respuesta HTTP con los tableros a los que fue invitado y su rol, o un mensaje de error.
+ */
+export const getBoardInvitations = async (req, res) => {
+  debug('Iniciando obtención de invitaciones a tableros', {
+    userId: req.userId,
+  })
+
+  try {
+    const boards = await Board.find(
+      {
+        collaborators: {
+          $elemMatch: { user: req.userId, status: 'pending' },
+        },
+      },
+      'title description visibility user collaborators'
+    ).populate('user', 'username img avatar displayName')
+
+    const invitations = boards.map((board) => {
+      const { role, invitedAt } = board.collaborators.find(
+        (collaborator) => collaborator.user.toString() === req.userId
+      )
+
+      return {
+        board: {
+          _id: board._id,
+          title: board.title,
+          description: board.description,
+          visibility: board.visibility,
+        },
+        owner: board.user,
+        role,
+        invitedAt,
+      }
+    })
+
+    info('Invitaciones obtenidas', {
+      userId: req.userId,
+      invitationsCount: invitations.length,
+    })
+
+    return responseReturn(res, 200, invitations)
+  } catch (err) {
+    error('Error al obtener las invitaciones:', {
+      error: err.message,
+      stack: err.stack,
+    })
+
+    return responseReturn(res, 500, {
+      message: 'Error al obtener las invitaciones',
+      error: err.message,
+    })
+  }
+}
+
+/**
+ * Acepta la invitación del usuario autenticado a un tablero.
+ *
+ * @async
+ * @function acceptBoardInvitation
+ * @param {import('express').Request} req - Objeto de solicitud de Express, debe contener el ID del tablero en los parámetros.
+ * @param {import('express').Response} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Devuelve una respuesta HTTP confirmando la operación o un mensaje de error.
+ */
+export const acceptBoardInvitation = async (req, res) => {
+  debug('Iniciando aceptación de invitación', {
+    params: req.params,
+    userId: req.userId,
+  })
+
+  try {
+    const result = await Board.updateOne(
+      {
+        _id: req.params.id,
+        collaborators: {
+          $elemMatch: { user: req.userId, status: 'pending' },
+        },
+      },
+      {
+        $set: {
+          'collaborators.$.status': 'accepted',
+          'collaborators.$.acceptedAt': new Date(),
+        },
+      }
+    )
+
+    if (!result.matchedCount) {
+      return responseReturn(res, 404, { message: 'Invitación no encontrada' })
+    }
+
+    info('Invitación aceptada', { boardId: req.params.id, userId: req.userId })
+
+    return responseReturn(res, 200, { message: 'Invitación aceptada' })
+  } catch (err) {
+    error('Error al aceptar la invitación:', {
+      error: err.message,
+      stack: err.stack,
+    })
+
+    return responseReturn(res, 500, {
+      message: 'Error al aceptar la invitación',
+      error: err.message,
+    })
+  }
+}
+
+/**
+ * Rechaza la invitación del usuario autenticado a un tablero.
+ *
+ * @async
+ * @function declineBoardInvitation
+ * @param {import('express').Request} req - Objeto de solicitud de Express, debe contener el ID del tablero en los parámetros.
+ * @param {import('express').Response} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Devuelve una respuesta HTTP confirmando la operación o un mensaje de error.
+ */
+export const declineBoardInvitation = async (req, res) => {
+  debug('Iniciando rechazo de invitación', {
+    params: req.params,
+    userId: req.userId,
+  })
+
+  try {
+    const result = await Board.updateOne(
+      { _id: req.params.id },
+      { $pull: { collaborators: { user: req.userId, status: 'pending' } } }
+    )
+
+    if (!result.modifiedCount) {
+      return responseReturn(res, 404, { message: 'Invitación no encontrada' })
+    }
+
+    info('Invitación rechazada', { boardId: req.params.id, userId: req.userId })
+
+    return responseReturn(res, 200, { message: 'Invitación rechazada' })
+  } catch (err) {
+    error('Error al rechazar la invitación:', {
+      error: err.message,
+      stack: err.stack,
+    })
+
+    return responseReturn(res, 500, {
+      message: 'Error al rechazar la invitación',
+      error: err.message,
+    })
+  }
+}
+
+/**
+ * Quita un pin de un tablero sin eliminarlo.
+ *
+ * @async
+ * @function removeBoardPin
+ * @param {import('express').Request} req - Objeto de solicitud de Express, debe contener el ID del tablero y el del pin en los parámetros.
+ * @param {import('express').Response} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Devuelve una respuesta HTTP confirmando la operación o un mensaje de error.
+ *
+ * @description
+ * Pueden quitar pines el propietario y los editores del tablero. El pin se conserva sin tablero
+ * y deja de ser la portada si lo era. Si el pin está en el tablero porque se guardó en él, se
+ * quita el tablero de esos guardados; el guardado que se queda sin tableros se elimina y
+ * descuenta del `saveCount` del pin.
+ */
+export const removeBoardPin = async (req, res) => {
+  debug('Iniciando eliminación de pin del tablero', {
+    params: req.params,
+    userId: req.userId,
+  })
+
+  try {
+    const board = await findBoardForRoles(req, res, ['owner', 'editor'])
+
+    if (!board) return
+
+    const pinId = new Types.ObjectId(req.params.pinId)
+
+    const result = await Pin.updateOne(
+      { _id: pinId, board: board._id },
+      { $set: { board: null, secret: false, section: null } }
+    )
+
+    const saves = await Save.find(
+      { pin: pinId, 'boards.board': board._id },
+      'user'
+    ).lean()
+
+    if (!result.matchedCount && !saves.length) {
+      return responseReturn(res, 404, {
+        message: 'El pin no pertenece a este tablero',
+      })
+    }
+
+    await Promise.all(
+      saves.map((save) => removeSave(pinId, save.user, board._id))
+    )
+
+    if (result.matchedCount) {
+      await clearBoardCovers([pinId])
+    } else {
+      await Board.updateOne(
+        { _id: board._id, cover: pinId },
+        { $set: { cover: null } }
+      )
+    }
+
+    info('Pin quitado del tablero', {
+      boardId: board._id,
+      pinId: req.params.pinId,
+    })
+
+    return responseReturn(res, 200, { message: 'Pin quitado del tablero' })
+  } catch (err) {
+    error('Error al quitar el pin del tablero:', {
+      error: err.message,
+      stack: err.stack,
+    })
+
+    return responseReturn(res, 500, {
+      message: 'Error al quitar el pin del tablero',
+      error: err.message,
+    })
+  }
+}
+
+/**
+ * Crea una sección en un tablero.
+ *
+ * @async
+ * @function createBoardSection
+ * @param {import('express').Request} req - Objeto de solicitud de Express, debe contener el ID del tablero en los parámetros y el título de la sección en el cuerpo.
+ * @param {import('express').Response} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Devuelve una respuesta HTTP con la sección creada o un mensaje de error.
+ */
+export const createBoardSection = async (req, res) => {
+  debug('Iniciando creación de sección', {
+    params: req.params,
+    body: req.body,
+    userId: req.userId,
+  })
+
+  try {
+    const board = await findBoardForRoles(req, res, ['owner', 'editor'])
+
+    if (!board) return
+
+    board.sections.push({ title: req.body.title })
+
+    await board.save()
+
+    const section = board.sections[board.sections.length - 1]
+
+    info('Sección creada con éxito', { boardId: board._id, section })
+
+    return responseReturn(res, 201, section)
+  } catch (err) {
+    error('Error al crear la sección:', {
+      error: err.message,
+      stack: err.stack,
+    })
+
+    return responseReturn(res, 500, {
+      message: 'Error al crear la sección',
+      error: err.message,
+    })
+  }
+}
+
+/**
+ * Cambia el nombre de una sección de un tablero.
+ *
+ * @async
+ * @function updateBoardSection
+ * @param {import('express').Request} req - Objeto de solicitud de Express, debe contener el ID del tablero y el de la sección en los parámetros y el nuevo título en el cuerpo.
+ * @param {import('express').Response} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Devuelve una respuesta HTTP con la sección actualizada o un mensaje de error.
+ */
+export const updateBoardSection = async (req, res) => {
+  debug('Iniciando actualización de sección', {
+    params: req.params,
+    body: req.body,
+    userId: req.userId,
+  })
+
+  try {
+    const board = await findBoardForRoles(req, res, ['owner', 'editor'])
+
+    if (!board) return
+
+    const section = board.sections.id(req.params.sectionId)
+
+    if (!section) {
+      return responseReturn(res, 404, { message: 'Sección no encontrada' })
+    }
+
+    section.title = req.body.title
+
+    await board.save()
+
+    info('Sección actualizada con éxito', { boardId: board._id, section })
+
+    return responseReturn(res, 200, section)
+  } catch (err) {
+    error('Error al actualizar la sección:', {
+      error: err.message,
+      stack: err.stack,
+    })
+
+    return responseReturn(res, 500, {
+      message: 'Error al actualizar la sección',
+      error: err.message,
+    })
+  }
+}
+
+/**
+ * Elimina una sección de un tablero. Sus pines permanecen en el tablero sin sección.
+ *
+ * @async
+ * @function deleteBoardSection
+ * @param {import('express').Request} req - Objeto de solicitud de Express, debe contener el ID del tablero y el de la sección en los parámetros.
+ * @param {import('express').Response} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Devuelve una respuesta HTTP confirmando la eliminación o un mensaje de error.
+ */
+export const deleteBoardSection = async (req, res) => {
+  debug('Iniciando eliminación de sección', {
+    params: req.params,
+    userId: req.userId,
+  })
+
+  try {
+    const board = await findBoardForRoles(req, res, ['owner', 'editor'])
+
+    if (!board) return
+
+    const section = board.sections.id(req.params.sectionId)
+
+    if (!section) {
+      return responseReturn(res, 404, { message: 'Sección no encontrada' })
+    }
+
+    section.deleteOne()
+
+    await board.save()
+
+    await Pin.updateMany(
+      { board: board._id, section: section._id },
+      { $set: { section: null } }
+    )
+
+    info('Sección eliminada con éxito', {
+      boardId: board._id,
+      sectionId: section._id,
+    })
+
+    return responseReturn(res, 200, { message: 'Sección eliminada con éxito' })
+  } catch (err) {
+    error('Error al eliminar la sección:', {
+      error: err.message,
+      stack: err.stack,
+    })
+
+    return responseReturn(res, 500, {
+      message: 'Error al eliminar la sección',
+      error: err.message,
+    })
+  }
+}
+
+/**
+ * Cambia la posición de un pin dentro de su tablero y, opcionalmente, su sección.
+ *
+ * @async
+ * @function moveBoardPin
+ * @param {import('express').Request} req - Objeto de solicitud de Express, debe contener el ID del tablero y el del pin en los parámetros, y en el cuerpo `before` (pin delante del cual se coloca, o null para el final) y opcionalmente `section` (ID o null).
+ * @param {import('express').Response} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Devuelve una respuesta HTTP con el pin actualizado o un mensaje de error.
+ *
+ * @description
+ * Pensado para arrastrar y soltar: "mover el pin X delante del pin Y". Si no se indica `section`
+ * y se indica `before`, el pin pasa a la sección del pin `before`. Pueden reordenar el propietario
+ * y los editores del tablero.
+ */
+export const moveBoardPin = async (req, res) => {
+  debug('Iniciando cambio de posición de pin', {
+    params: req.params,
+    body: req.body,
+    userId: req.userId,
+  })
+
+  try {
+    const board = await findBoardForRoles(req, res, ['owner', 'editor'])
+
+    if (!board) return
+
+    const { before, section } = req.body
+
+    const pin = await Pin.findOne({ _id: req.params.pinId, board: board._id })
+
+    if (!pin) {
+      return responseReturn(res, 404, {
+        message: 'El pin no pertenece a este tablero',
+      })
+    }
+
+    const beforePin = before
+      ? await Pin.findOne({ _id: before, board: board._id })
+      : null
+
+    if (before && !beforePin) {
+      return responseReturn(res, 400, {
+        message: 'El pin de referencia no pertenece a este tablero',
+      })
+    }
+
+    if (section && !board.sections.id(section)) {
+      return responseReturn(res, 400, {
+        message: 'La sección no pertenece a este tablero',
+      })
+    }
+
+    if (section !== undefined) {
+      pin.section = section || null
+    } else if (beforePin) {
+      pin.section = beforePin.section
+    }
+
+    if (!beforePin || !beforePin._id.equals(pin._id)) {
+      pin.position = await getPositionBefore(pin, beforePin)
+    }
+
+    await pin.save()
+
+    info('Posición del pin actualizada', {
+      boardId: board._id,
+      pinId: pin._id,
+      position: pin.position,
+      section: pin.section,
+    })
+
+    return responseReturn(res, 200, pin)
+  } catch (err) {
+    error('Error al cambiar la posición del pin:', {
+      error: err.message,
+      stack: err.stack,
+    })
+
+    return responseReturn(res, 500, {
+      message: 'Error al cambiar la posición del pin',
+      error: err.message,
+    })
+  }
+}
+
+/**
+ * Alterna el seguimiento de un tablero por parte del usuario autenticado.
+ *
+ * @async
+ * @function followBoard
+ * @param {import('express').Request} req - Objeto de solicitud de Express, debe contener el ID del tablero en los parámetros.
+ * @param {import('express').Response} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Devuelve una respuesta HTTP con `isFollowing` y `followerCount` o un mensaje de error.
+ *
+ * @description
+ * Solo se pueden seguir tableros visibles para el usuario y que no sean suyos.
+ */
+export const followBoard = async (req, res) => {
+  debug('Iniciando seguimiento de tablero', {
+    params: req.params,
+    userId: req.userId,
+  })
+
+  try {
+    const board = await Board.findById(req.params.id)
+
+    if (!board || !canViewBoard(board, req.userId)) {
+      return responseReturn(res, 404, { message: 'Tablero no encontrado' })
+    }
+
+    if (board.user.equals(req.userId)) {
+      return responseReturn(res, 400, {
+        message: 'No puedes seguir tu propio tablero',
+      })
+    }
+
+    const followFilter = {
+      follower: new Types.ObjectId(req.userId),
+      board: board._id,
+    }
+
+    const { deletedCount } = await BoardFollow.deleteOne(followFilter)
+    const removed = deletedCount > 0
+
+    // Si otra petición simultánea ya lo ha creado, el tablero queda seguido igualmente
+    if (!removed) await ensureInteraction(BoardFollow, followFilter)
+
+    const followerCount = await BoardFollow.countDocuments({ board: board._id })
+
+    info(
+      removed
+        ? `El usuario ${req.userId} dejó de seguir el tablero ${board._id}`
+        : `El usuario ${req.userId} comenzó a seguir el tablero ${board._id}`
+    )
+
+    return responseReturn(res, 200, { isFollowing: !removed, followerCount })
+  } catch (err) {
+    error('Error al seguir el tablero:', {
+      error: err.message,
+      stack: err.stack,
+    })
+
+    return responseReturn(res, 500, {
+      message: 'Error al seguir el tablero',
+      error: err.message,
+    })
+  }
+}
+
+/**
+ * Busca el tablero indicado en `req.params.id` y comprueba que el usuario autenticado tiene
+ * uno de los roles permitidos. Si no existe o no tiene permiso, envía la respuesta de error correspondiente.
+ *
+ * @private
+ * @async
+ * @param {import('express').Request} req - Objeto de solicitud de Express.
+ * @param {import('express').Response} res - Objeto de respuesta de Express.
+ * @param {Array<'owner'|'editor'|'viewer'>} roles - Roles con permiso para la operación.
+ * @returns {Promise<import('mongoose').Document|null>} El tablero, o `null` si ya se respondió con un error.
+ */
+const findBoardForRoles = async (req, res, roles) => {
+  const board = await Board.findById(req.params.id)
+
+  if (!board) {
+    responseReturn(res, 404, { message: 'Tablero no encontrado' })
+
+    return null
+  }
+
+  if (!roles.includes(getBoardRole(board, req.userId))) {
+    responseReturn(res, 403, {
+      message: 'No tienes permiso para modificar este tablero',
+    })
+
+    return null
+  }
+
+  return board
+}
+
+/**
+ * Número de miniaturas de pines que se devuelven por tablero para el collage de portada.
+ *
+ * @private
+ * @constant {number}
+ */
+const BOARD_PREVIEW_PIN_COUNT = 4
+
+/**
+ * Proyección de los pines usados como miniaturas de un tablero.
+ *
+ * @private
+ * @constant {Object}
+ */
+const PREVIEW_PIN_PROJECTION = {
+  media: 1,
+  width: 1,
+  height: 1,
+  title: 1,
+  boardPosition: 1,
+}
+
+/**
+ * Construye las etapas de agregación que añaden a cada tablero el número de pines, la fecha
+ * del último pin guardado, las miniaturas del collage y el pin de portada.
+ *
+ * Se combinan los pines del tablero y los pines de otros usuarios guardados en él; estos
+ * últimos se ordenan por la fecha en que se guardaron y se omiten del collage si son secretos.
+ *
+ * @private
+ * @returns {Object[]} Etapas de agregación.
+ */
+const buildBoardPinStatsStages = () => [
+  {
+    $lookup: {
+      from: Pin.collection.name,
+      let: { boardId: '$_id' },
+      pipeline: [
+        { $match: { $expr: { $eq: ['$board', '$$boardId'] } } },
+        {
+          $facet: {
+            stats: [
+              {
+                $group: {
+                  _id: null,
+                  count: { $sum: 1 },
+                  lastAt: { $max: '$createdAt' },
+                },
+              },
+            ],
+            previewPins: [
+              buildBoardPositionStage(),
+              { $sort: { boardPosition: -1, _id: -1 } },
+              { $limit: BOARD_PREVIEW_PIN_COUNT },
+              { $project: PREVIEW_PIN_PROJECTION },
+            ],
+          },
+        },
+      ],
+      as: 'ownPins',
+    },
+  },
+  {
+    $lookup: {
+      from: Save.collection.name,
+      localField: '_id',
+      foreignField: 'boards.board',
+      let: { boardId: '$_id' },
+      pipeline: [
+        {
+          $project: {
+            pin: 1,
+            savedAt: {
+              $first: {
+                $filter: {
+                  input: '$boards',
+                  cond: { $eq: ['$$this.board', '$$boardId'] },
+                },
+              },
+            },
+          },
+        },
+        { $set: { savedAt: '$savedAt.savedAt' } },
+        {
+          $facet: {
+            stats: [
+              {
+                $group: {
+                  _id: null,
+                  count: { $sum: 1 },
+                  lastAt: { $max: '$savedAt' },
+                },
+              },
+            ],
+            previewPins: [
+              { $sort: { savedAt: -1, _id: -1 } },
+              { $limit: BOARD_PREVIEW_PIN_COUNT },
+              {
+                $lookup: {
+                  from: Pin.collection.name,
+                  localField: 'pin',
+                  foreignField: '_id',
+                  pipeline: [{ $match: { secret: { $ne: true } } }],
+                  as: 'pin',
+                },
+              },
+              { $unwind: '$pin' },
+              {
+                $replaceWith: {
+                  $mergeObjects: [
+                    '$pin',
+                    { boardPosition: { $toDouble: '$savedAt' } },
+                  ],
+                },
+              },
+              { $project: PREVIEW_PIN_PROJECTION },
+            ],
+          },
+        },
+      ],
+      as: 'savedPins',
+    },
+  },
+  {
+    $lookup: {
+      from: Pin.collection.name,
+      localField: 'cover',
+      foreignField: '_id',
+      pipeline: [{ $project: PREVIEW_PIN_PROJECTION }],
+      as: 'coverPin',
+    },
+  },
+  {
+    $set: {
+      ownPins: { $first: '$ownPins' },
+      savedPins: { $first: '$savedPins' },
+      coverPin: { $first: '$coverPin' },
+    },
+  },
+  {
+    $set: {
+      pinCount: {
+        $add: [
+          { $ifNull: [{ $first: '$ownPins.stats.count' }, 0] },
+          { $ifNull: [{ $first: '$savedPins.stats.count' }, 0] },
+        ],
+      },
+      lastPinnedAt: {
+        $ifNull: [
+          {
+            $max: [
+              { $first: '$ownPins.stats.lastAt' },
+              { $first: '$savedPins.stats.lastAt' },
+            ],
+          },
+          null,
+        ],
+      },
+      previewPins: {
+        $concatArrays: ['$ownPins.previewPins', '$savedPins.previewPins'],
+      },
+    },
+  },
+  {
+    $set: { lastSavedAt: { $ifNull: ['$lastPinnedAt', '$createdAt'] } },
+  },
+  { $unset: ['ownPins', 'savedPins'] },
+  // Mezcla las miniaturas propias y guardadas según su posición en el tablero
+  { $unwind: { path: '$previewPins', preserveNullAndEmptyArrays: true } },
+  { $sort: { _id: 1, 'previewPins.boardPosition': -1 } },
+  {
+    $group: {
+      _id: '$_id',
+      board: { $first: '$$ROOT' },
+      previewPins: { $push: '$previewPins' },
+    },
+  },
+  {
+    $replaceWith: {
+      $mergeObjects: [
+        '$board',
+        {
+          previewPins: {
+            $slice: [
+              {
+                $filter: {
+                  input: '$previewPins',
+                  cond: { $ne: ['$$this', null] },
+                },
+              },
+              BOARD_PREVIEW_PIN_COUNT,
+            ],
+          },
+        },
+      ],
+    },
+  },
+]
+
+/**
+ * Construye las etapas de agregación que añaden a cada tablero su número de seguidores y si
+ * el usuario autenticado lo sigue.
+ *
+ * @private
+ * @param {import('mongoose').Types.ObjectId|null} viewerId - ID del usuario autenticado.
+ * @returns {Object[]} Etapas de agregación.
+ */
+const buildBoardFollowStages = (viewerId) => [
+  {
+    $lookup: {
+      from: BoardFollow.collection.name,
+      localField: '_id',
+      foreignField: 'board',
+      pipeline: [{ $count: 'count' }],
+      as: 'followerCount',
+    },
+  },
+  {
+    $lookup: {
+      from: BoardFollow.collection.name,
+      localField: '_id',
+      foreignField: 'board',
+      pipeline: [{ $match: { follower: viewerId } }, { $limit: 1 }],
+      as: 'viewerFollow',
+    },
+  },
+  {
+    $set: {
+      followerCount: { $ifNull: [{ $first: '$followerCount.count' }, 0] },
+      isFollowing: { $gt: [{ $size: '$viewerFollow' }, 0] },
+    },
+  },
+  { $unset: 'viewerFollow' },
+]
+
+/**
+ * Construye las etapas previas a la ordenación y el orden estable del listado de tableros.
+ *
+ * @private
+ * @param {string} sort - Modo de ordenación solicitado.
+ * @returns {{stages: Object[], sortSpec: import('../utils/pagination.util.js').SortField[]}} Etapas y orden del listado.
+ */
+const buildBoardSortStages = (sort) => {
+  if (sort === 'alphabetical') {
+    return {
+      stages: [{ $set: { titleKey: { $toLower: '$title' } } }],
+      sortSpec: [
+        { field: 'titleKey', order: 1, type: 'string' },
+        { field: '_id', order: 1, type: 'objectId' },
+      ],
+    }
+  }
+
+  if (sort === 'lastSaved') {
+    return {
+      stages: [],
+      sortSpec: [
+        { field: 'lastSavedAt', order: -1, type: 'date' },
+        { field: '_id', order: -1, type: 'objectId' },
+      ],
+    }
+  }
+
+  return { stages: [], sortSpec: NEWEST_FIRST }
+}
@@ -1,5 +1,17 @@
 import Comment from '../models/comment.model.js'
+import Pin from '../models/pin.model.js'
+import { canViewPin } from '../services/board.service.js'
+import { incrementPinCounter } from '../services/counter.service.js'
 import { debug, error, info } from '../utils/logger.js'
+import {
+  NEWEST_FIRST,
+  OLDEST_FIRST,
+  buildKeysetFilter,
+  decodeCursor,
+  getPageSize,
+  toPage,
+  toSortObject,
+} from '../utils/pagination.util.js'
 import { responseReturn } from '../utils/res.util.js'
 
 /**
@@ -7,33 +19,67 @@ import { responseReturn } from '../utils/res.util.js'
  *
  * @async
  * @function
- * @param {import('express').Request} req - Objeto de solicitud de Express, debe contener el parámetro postId en req.params.
+ * @param {import('express').Request} req - Objeto de solicitud de Express, debe contener el parámetro postId en req.params y admite `parent`, `cursor` y `limit` en req.query.
  * @param {import('express').Response} res - Objeto de respuesta de Express.
  * @returns {Promise<void>} Devuelve una respuesta HTTP con el listado de comentarios o un mensaje de error.
  *
  * @throws {Error} Si ocurre un error al recuperar los comentarios de la base de datos.
  *
  * @description
- * Esta función busca todos los comentarios relacionados con un post (pin) identificado por postId,
- * los ordena por fecha de creación descendente y los retorna en la respuesta. Además, realiza un populate
- * del usuario asociado a cada comentario, incluyendo los campos username, img y displayName.
+ * Esta función busca los comentarios de primer nivel de un post (pin) identificado por postId,
+ * los ordena por fecha de creación descendente y los retorna paginados por cursor junto con `nextCursor`.
+ * Si se indica `parent`, retorna en orden cronológico las respuestas directas a ese comentario.
+ * Cada comentario incluye `replyCount` con el número de respuestas directas y `editedAt` si fue editado.
+ * Además, realiza un populate del usuario asociado a cada comentario, incluyendo los campos username,
+ * img y displayName (ver `serializeUser`).
  */
 export const getPostComments = async (req, res) => {
   debug('Iniciando recuperación de comentarios', { params: req.params })
 
   try {
     const { postId } = req.params
+    const { cursor, limit, parent } = req.query
 
-    const comments = await Comment.find({ pin: postId })
-      .sort({ createdAt: -1 })
-      .populate('user', 'username img displayName')
+    const pin = await Pin.findById(postId, 'board secret')
+
+    if (!pin || !(await canViewPin(pin, req.userId))) {
+      return responseReturn(res, 404, { message: 'Pin no encontrado' })
+    }
+
+    // Los hilos se listan del más reciente al más antiguo y sus respuestas en orden cronológico
+    const sortSpec = parent ? OLDEST_FIRST : NEWEST_FIRST
+    const pageSize = getPageSize(limit)
+    const after = cursor ? decodeCursor(cursor, sortSpec) : null
+
+    if (cursor && !after) {
+      return responseReturn(res, 400, { message: 'Cursor no válido' })
+    }
+
+    const results = await Comment.find({
+      pin: postId,
+      parent: parent || null,
+      ...(after && buildKeysetFilter(sortSpec, after)),
+    })
+      .sort(toSortObject(sortSpec))
+      .limit(pageSize + 1)
+      .populate('user', 'username img avatar displayName')
+
+    const { items, nextCursor } = toPage(results, sortSpec, pageSize)
+
+    const replyCounts = await countReplies(items.map((comment) => comment._id))
+
+    const comments = items.map((comment) => ({
+      ...comment.toObject(),
+      replyCount: replyCounts.get(comment._id.toString()) || 0,
+    }))
 
     info('Comentarios recuperados con éxito', {
       pinId: postId,
+      parent: parent || null,
       commentCount: comments.length,
     })
 
-    return responseReturn(res, 200, comments)
+    return responseReturn(res, 200, { comments, nextCursor })
   } catch (err) {
     error('Error al recuperar comentarios', {
       error: err.message,
@@ -52,7 +98,7 @@ export const getPostComments = async (req, res) => {
  *
  * @async
  * @function
- * @param {import('express').Request} req - Objeto de solicitud de Express, debe contener el cuerpo con la descripción y el ID del pin, además del userId autenticado.
+ * @param {import('express').Request} req - Objeto de solicitud de Express, debe contener el cuerpo con la descripción, el ID del pin y opcionalmente el comentario `parent` al que responde, además del userId autenticado.
  * @param {import('express').Response} res - Objeto de respuesta de Express.
  * @returns {Promise<void>} Devuelve una respuesta HTTP con el comentario creado o un mensaje de error.
  *
@@ -65,16 +111,35 @@ export const addComment = async (req, res) => {
   })
 
   try {
-    const { description, pin } = req.body
+    const { description, pin, parent } = req.body
 
     const userId = req.userId
 
+    const commentedPin = await Pin.findById(pin, 'board secret')
+
+    if (!commentedPin || !(await canViewPin(commentedPin, userId))) {
+      return responseReturn(res, 404, { message: 'Pin no encontrado' })
+    }
+
+    if (parent) {
+      const parentExists = await Comment.exists({ _id: parent, pin })
+
+      if (!parentExists) {
+        return responseReturn(res, 404, {
+          message: 'El comentario al que respondes no existe en este pin',
+        })
+      }
+    }
+
     const comment = await Comment.create({
       description,
       pin,
       user: userId,
+      parent: parent || null,
     })
 
+    await incrementPinCounter(pin, 'commentCount', 1)
+
     info('Comentario creado con éxito', { userId, pinId: pin, comment })
 
     return responseReturn(res, 201, comment)
@@ -90,3 +155,165 @@ export const addComment = async (req, res) => {
     })
   }
 }
+
+/**
+ * Edita el contenido de un comentario.
+ *
+ * @async
+ * @function
+ * @param {import('express').Request} req - Objeto de solicitud de Express, debe contener el ID del comentario en los parámetros y la nueva descripción en el cuerpo.
+ * @param {import('express').Response} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Devuelve una respuesta HTTP con el comentario actualizado o un mensaje de error.
+ *
+ * @description
+ * Solo el autor del comentario puede editarlo. Se registra la fecha de edición en `editedAt`
+ * para que los clientes puedan mostrar que el comentario fue modificado.
+ */
+export const updateComment = async (req, res) => {
+  debug('Iniciando edición de comentario', {
+    params: req.params,
+    body: req.body,
+    userId: req.userId,
+  })
+
+  try {
+    const { id } = req.params
+    const { description } = req.body
+
+    const comment = await Comment.findById(id)
+
+    if (!comment) {
+      return responseReturn(res, 404, { message: 'Comentario no encontrado' })
+    }
+
+    if (comment.user.toString() !== req.userId) {
+      return responseReturn(res, 403, {
+        message: 'No tienes permiso para editar este comentario',
+      })
+    }
+
+    comment.description = description
+    comment.editedAt = new Date()
+
+    await comment.save()
+
+    info('Comentario editado con éxito', comment)
+
+    return responseReturn(res, 200, comment)
+  } catch (err) {
+    error('Error al editar comentario', {
+      error: err.message,
+      stack: err.stack,
+    })
+
+    return responseReturn(res, 500, {
+      message: 'Error al editar comentario',
+      error: err.message,
+    })
+  }
+}
+
+/**
+ * Elimina un comentario junto con todas sus respuestas.
+ *
+ * @async
+ * @function
+ * @param {import('express').Request} req - Objeto de solicitud de Express, debe contener el ID del comentario en los parámetros.
+ * @param {import('express').Response} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Devuelve una respuesta HTTP confirmando la eliminación o un mensaje de error.
+ *
+ * @description
+ * Pueden eliminar un comentario su autor y el propietario del pin comentado.
+ * Las respuestas de cualquier nivel se eliminan con él para no dejar hilos huérfanos.
+ */
+export const deleteComment = async (req, res) => {
+  debug('Iniciando eliminación de comentario', {
+    params: req.params,
+    userId: req.userId,
+  })
+
+  try {
+    const { id } = req.params
+
+    const comment = await Comment.findById(id).populate('pin', 'user')
+
+    if (!comment) {
+      return responseReturn(res, 404, { message: 'Comentario no encontrado' })
+    }
+
+    const isAuthor = comment.user.toString() === req.userId
+    const isPinOwner = comment.pin?.user.toString() === req.userId
+
+    if (!isAuthor && !isPinOwner) {
+      return responseReturn(res, 403, {
+        message: 'No tienes permiso para eliminar este comentario',
+      })
+    }
+
+    const descendantIds = await collectReplyIds(comment._id)
+
+    const { deletedCount } = await Comment.deleteMany({
+      _id: { $in: [comment._id, ...descendantIds] },
+    })
+
+    if (comment.pin) {
+      await incrementPinCounter(comment.pin._id, 'commentCount', -deletedCount)
+    }
+
+    info('Comentario eliminado con éxito', {
+      commentId: id,
+      deletedReplies: descendantIds.length,
+    })
+
+    return responseReturn(res, 200, { message: 'Comentario eliminado con éxito' })
+  } catch (err) {
+    error('Error al eliminar comentario', {
+      error: err.message,
+      stack: err.stack,
+    })
+
+    return responseReturn(res, 500, {
+      message: 'Error al eliminar comentario',
+      error: err.message,
+    })
+  }
+}
+
+/**
+ * Cuenta las respuestas directas de cada uno de los comentarios indicados.
+ *
+ * @private
+ * @async
+ * @param {import('mongoose').Types.ObjectId[]} commentIds - IDs de los comentarios.
+ * @returns {Promise<Map<string, number>>} Número de respuestas indexado por ID de comentario.
+ */
+const countReplies = async (commentIds) => {
+  if (!commentIds.length) return new Map()
+
+  const counts = await Comment.aggregate([
+    { $match: { parent: { $in: commentIds } } },
+    { $group: { _id: '$parent', count: { $sum: 1 } } },
+  ])
+
+  return new Map(counts.map(({ _id, count }) => [_id.toString(), count]))
+}
+
+/**
+ * Obtiene los IDs de todas las respuestas de un comentario, en cualquier nivel de anidación.
+ *
+ * @private
+ * @async
+ * @param {import('mongoose').Types.ObjectId} commentId - ID del comentario raíz.
+ * @returns {Promise<import('mongoose').Types.ObjectId[]>} IDs de las respuestas.
+ */
+const collectReplyIds = async (commentId) => {
+  const replyIds = []
+  let parents = [commentId]
+
+  while (parents.length) {
+    parents = await Comment.find({ parent: { $in: parents } }).distinct('_id')
+    replyIds.push(...parents)
+  }
+
+  return replyIds
+}
@@ -1,17 +1,43 @@
-import ImageKit from 'imagekit'
-import jwt from 'jsonwebtoken'
-import sharp from 'sharp'
-import {
-  IMAGEKIT_PRIVATE_KEY,
-  IMAGEKIT_PUBLIC_KEY,
-  IMAGEKIT_URL_ENDPOINT,
-  JWT_SECRET,
-} from '../constants/config.js'
+import { Types } from 'mongoose'
 import Board from '../models/board.model.js'
+import BoardFollow from '../models/boardFollow.model.js'
+import Follow from '../models/follow.model.js'
 import Like from '../models/like.model.js'
 import Pin from '../models/pin.model.js'
 import Save from '../models/save.model.js'
+import {
+  buildPinVisibilityFilter,
+  canViewBoard,
+  canViewPin,
+  findPinnableBoard,
+} from '../services/board.service.js'
+import {
+  buildBoardPositionStage,
+  buildBoardSavedPinsLookupStages,
+  buildBoardSavedPinsUnionStage,
+  clearBoardCovers,
+  deletePinsWithRelations,
+  getTopPosition,
+  getViewerStates,
+  withMediaUrl,
+} from '../services/pin.service.js'
+import {
+  addLike,
+  addSave,
+  removeLike,
+  removeSave,
+} from '../services/interaction.service.js'
+import { getTrendingPinScores } from '../services/trending.service.js'
+import { createMediaKey, storage } from '../storage/storage.js'
+import { renderPinImage } from '../utils/image.util.js'
 import { debug, error, info } from '../utils/logger.js'
+import {
+  NEWEST_FIRST,
+  buildPageStages,
+  decodeCursor,
+  getPageSize,
+  toPage,
+} from '../utils/pagination.util.js'
 import { responseReturn } from '../utils/res.util.js'
 
 /**
@@ -20,48 +46,93 @@ import { responseReturn } from '../utils/res.util.js'
  * @async
  * @function
  * @param {import('express').Request} req - Objeto de solicitud HTTP de Express, que puede contener los siguientes parámetros de consulta:
- *   @param {string} [req.query.cursor] - Cursor de paginación (número de página).
- *   @param {string} [req.query.search] - Término de búsqueda para filtrar pines por título o etiquetas.
+ *   @param {string} [req.query.cursor] - Cursor opaco de paginación devuelto en `nextCursor`.
+ *   @param {string} [req.query.limit] - Tamaño de página (limitado por `PAGE_SIZE_MAX`).
+ *   @param {string} [req.query.search] - Término de búsqueda de texto completo sobre título, descripción y etiquetas.
  *   @param {string} [req.query.userId] - ID del usuario para filtrar pines creados por ese usuario.
- *   @param {string} [req.query.boardId] - ID del tablero para filtrar pines asociados a ese tablero.
+ *   @param {string} [req.query.boardId] - ID del tablero para filtrar pines asociados a ese tablero, incluidos los guardados en él.
+ *   @param {string} [req.query.sectionId] - ID de la sección del tablero para filtrar sus pines.
+ *   @param {string} [req.query.sort] - Orden de los resultados: `relevance`, `newest`, `likes`, `saves` o `position`.
+ *   @param {string} [req.query.withViewerState] - Si es `true`, cada pin incluye `viewerState` con las interacciones del usuario autenticado.
  * @param {import('express').Response} res - Objeto de respuesta HTTP de Express.
  * @returns {Promise<void>} No retorna ningún valor directamente, pero envía la respuesta HTTP con los pines recuperados o un mensaje de error.
  *
  * @description
- * Esta función permite recuperar pines de la base de datos aplicando filtros opcionales por búsqueda, usuario o tablero.
- * Implementa paginación utilizando un cursor y un límite fijo de resultados por página.
+ * Esta función permite recuperar pines de la base de datos combinando los filtros opcionales de búsqueda,
+ * usuario y tablero (por ejemplo, buscar dentro de un tablero o entre los pines de un usuario).
+ * La búsqueda usa el índice de texto de los pines y, por defecto, ordena por relevancia; al listar un
+ * tablero sin búsqueda se usa el orden manual del tablero (`position`) y en otro caso, del más reciente
+ * al más antiguo.
+ * Los pines de tableros secretos solo se incluyen para los miembros de esos tableros, y un
+ * tablero secreto solo puede listarse por sus miembros.
+ * Implementa paginación por cursor sobre los campos de ordenación (puntuación, contadores,
+ * `createdAt` y `_id`), de modo que las páginas no se desplazan al crearse pines nuevos.
  * En caso de éxito, retorna un objeto con los pines y el cursor para la siguiente página (si existe).
  * En caso de error, retorna un mensaje descriptivo del problema encontrado.
  */
 export const getPins = async (req, res) => {
   debug('Iniciando recuperación de pines', { query: req.query })
 
-  const { cursor, search, userId, boardId } = req.query
-
-  const pageNumber = Number(cursor) || 0
-  const limit = 21
+  const {
+    cursor,
+    limit,
+    search,
+    userId,
+    boardId,
+    sectionId,
+    sort,
+    withViewerState,
+  } = req.query
 
   try {
-    const pins = await Pin.find(
-      search
-        ? {
-            $or: [
-              { title: { $regex: search, $options: 'i' } },
-              { tags: { $in: [search] } },
-            ],
-          }
-        : userId
-        ? { user: userId }
-        : boardId
-        ? { board: boardId }
-        : {}
-    )
-      .limit(limit)
-      .skip(pageNumber * limit)
+    if (boardId) {
+      const board = await Board.findById(boardId)
 
-    const hasNextPage = pins.length === limit
+      if (!board || !canViewBoard(board, req.userId)) {
+        return responseReturn(res, 404, { message: 'Tablero no encontrado' })
+      }
+    }
 
-    const response = { pins, nextCursor: hasNextPage ? pageNumber + 1 : null }
+    const pageSize = getPageSize(limit)
+    const { stages: sortStages, sortSpec } = buildPinSortStages(sort, {
+      hasSearch: Boolean(search),
+      hasBoard: Boolean(boardId),
+    })
+
+    const after = cursor ? decodeCursor(cursor, sortSpec) : null
+
+    if (cursor && !after) {
+      return responseReturn(res, 400, { message: 'Cursor no válido' })
+    }
+
+    const visibilityFilter = await buildPinVisibilityFilter(req.userId)
+
+    const results = await Pin.aggregate([
+      ...buildPinMatchStages(
+        { search, userId, boardId, sectionId },
+        visibilityFilter
+      ),
+      ...sortStages,
+      ...buildPageStages(sortSpec, after, pageSize),
+    ])
+
+    const { items, nextCursor } = toPage(results, sortSpec, pageSize)
+
+    let pins = items.map(withMediaUrl)
+
+    if (withViewerState === 'true') {
+      const viewerStates = await getViewerStates(
+        pins.map((pin) => pin._id),
+        req.userId
+      )
+
+      pins = pins.map((pin) => ({
+        ...pin,
+        viewerState: viewerStates.get(String(pin._id)),
+      }))
+    }
+
+    const response = { pins, nextCursor }
 
     info('Pines recuperados con éxito', response)
 
@@ -79,6 +150,185 @@ export const getPins = async (req, res) => {
   }
 }
 
+/**
+ * Recupera el feed del usuario autenticado con paginación por cursor.
+ *
+ * @async
+ * @function
+ * @param {import('express').Request} req - Objeto de solicitud HTTP de Express, admite `cursor` y `limit` en la consulta.
+ * @param {import('express').Response} res - Objeto de respuesta HTTP de Express.
+ * @returns {Promise<void>} No retorna ningún valor directamente, pero envía la respuesta HTTP con `{ pins, nextCursor, source }`.
+ *
+ * @description
+ * El feed contiene los pines de los usuarios y de los tableros que sigue el usuario autenticado,
+ * incluidos los que otros usuarios han guardado en esos tableros, del más reciente al más antiguo (`source: 'following'`). Si no sigue a nadie, se devuelven los pines más
+ * populares por número de likes (`source: 'popular'`). En ambos casos se omiten los pines que
+ * el usuario no puede ver.
+ */
+export const getFeed = async (req, res) => {
+  debug('Iniciando recuperación del feed', {
+    query: req.query,
+    userId: req.userId,
+  })
+
+  const { cursor, limit } = req.query
+
+  try {
+    const [followedUserIds, followedBoardIds] = await Promise.all([
+      Follow.distinct('following', { follower: req.userId }),
+      BoardFollow.distinct('board', { follower: req.userId }),
+    ])
+
+    const source =
+      followedUserIds.length || followedBoardIds.length
+        ? 'following'
+        : 'popular'
+
+    const { stages: sortStages, sortSpec } = buildPinSortStages(
+      source === 'following' ? 'newest' : 'likes',
+      { hasSearch: false, hasBoard: false }
+    )
+
+    const pageSize = getPageSize(limit)
+    const after = cursor ? decodeCursor(cursor, sortSpec) : null
+
+    if (cursor && !after) {
+      return responseReturn(res, 400, { message: 'Cursor no válido' })
+    }
+
+    const visibilityFilter = await buildPinVisibilityFilter(req.userId)
+
+    const match = { $and: [visibilityFilter] }
+    const savedPinsStages = []
+
+    if (source === 'following') {
+      const followingFilter = {
+        $or: [
+          { user: { $in: followedUserIds } },
+          { board: { $in: followedBoardIds } },
+        ],
+      }
+
+      match.$and.push(followingFilter)
+
+      // Los pines guardados en los tableros seguidos que no aporta ya `$match`
+      if (followedBoardIds.length) {
+        savedPinsStages.push(
+          buildBoardSavedPinsUnionStage(followedBoardIds, {
+            $and: [visibilityFilter],
+            $nor: [followingFilter],
+          })
+        )
+      }
+    }
+
+    const results = await Pin.aggregate([
+      { $match: match },
+      ...savedPinsStages,
+      ...sortStages,
+      ...buildPageStages(sortSpec, after, pageSize),
+    ])
+
+    const { items, nextCursor } = toPage(results, sortSpec, pageSize)
+
+    const response = { pins: items.map(withMediaUrl), nextCursor, source }
+
+    info('Feed recuperado con éxito', {
+      userId: req.userId,
+      source,
+      count: items.length,
+    })
+
+    return responseReturn(res, 200, response)
+  } catch (err) {
+    error('Error al recuperar el feed', {
+      error: err.message,
+      stack: err.stack,
+    })
+
+    return responseReturn(res, 500, {
+      message: 'Error al recuperar el feed',
+      error: err.message,
+    })
+  }
+}
+
+/**
+ * Recupera los pines en tendencia en una ventana de tiempo, con paginación por cursor.
+ *
+ * @async
+ * @function
+ * @param {import('express').Request} req - Objeto de solicitud HTTP de Express, admite `window` (`24h`, `7d` o `30d`), `cursor` y `limit` en la consulta.
+ * @param {import('express').Response} res - Objeto de respuesta HTTP de Express.
+ * @returns {Promise<void>} No retorna ningún valor directamente, pero envía la respuesta HTTP con `{ pins, nextCursor }`.
+ *
+ * @description
+ * La puntuación (`score`) de cada pin combina los likes, guardados y comentarios recibidos en la
+ * ventana con decaimiento temporal, y se calcula en caché (ver `trendingService`). Aquí solo se
+ * aplica la visibilidad de los tableros secretos y la paginación.
+ */
+export const getTrendingPins = async (req, res) => {
+  debug('Iniciando recuperación de pines en tendencia', { query: req.query })
+
+  const { window = '7d', cursor, limit } = req.query
+
+  try {
+    const pageSize = getPageSize(limit)
+    const sortSpec = [
+      { field: 'score', order: -1, type: 'number' },
+      { field: '_id', order: -1, type: 'objectId' },
+    ]
+    const after = cursor ? decodeCursor(cursor, sortSpec) : null
+
+    if (cursor && !after) {
+      return responseReturn(res, 400, { message: 'Cursor no válido' })
+    }
+
+    const [trending, visibilityFilter] = await Promise.all([
+      getTrendingPinScores(window),
+      buildPinVisibilityFilter(req.userId),
+    ])
+
+    const results = await Pin.aggregate([
+      {
+        $match: { $and: [visibilityFilter, { _id: { $in: trending.pinIds } }] },
+      },
+      {
+        $addFields: {
+          score: {
+            $arrayElemAt: [
+              trending.scores,
+              { $indexOfArray: [trending.pinIds, '$_id'] },
+            ],
+          },
+        },
+      },
+      ...buildPageStages(sortSpec, after, pageSize),
+    ])
+
+    const { items, nextCursor } = toPage(results, sortSpec, pageSize)
+
+    const response = { pins: items.map(withMediaUrl), nextCursor }
+
+    info('Pines en tendencia recuperados con éxito', {
+      window,
+      count: items.length,
+    })
+
+    return responseReturn(res, 200, response)
+  } catch (err) {
+    error('Error al recuperar pines en tendencia', {
+      error: err.message,
+      stack: err.stack,
+    })
+
+    return responseReturn(res, 500, {
+      message: 'Error al recuperar pines en tendencia',
+      error: err.message,
+    })
+  }
+}
+
 /**
  * Recupera un pin específico por su ID.
  *
@@ -91,7 +341,7 @@ export const getPins = async (req, res) => {
  * @description
  * Esta función busca y recupera un pin específico de la base de datos utilizando su ID.
  * En caso de éxito, retorna el objeto del pin completo.
- * Si el pin no existe, retorna un mensaje de error 404.
+ * Si el pin no existe o pertenece a un tablero secreto del que el usuario no es miembro, retorna un mensaje de error 404.
  * En caso de otros errores, retorna un mensaje descriptivo del problema encontrado.
  */
 export const getPin = async (req, res) => {
@@ -102,10 +352,10 @@ export const getPin = async (req, res) => {
 
     const pin = await Pin.findById(id).populate(
       'user',
-      'username img displayName'
+      'username img avatar displayName'
     )
 
-    if (!pin) {
+    if (!pin || !(await canViewPin(pin, req.userId))) {
       return responseReturn(res, 404, {
         message: 'Pin no encontrado',
       })
@@ -127,6 +377,81 @@ export const getPin = async (req, res) => {
   }
 }
 
+/**
+ * Recupera los pines relacionados con un pin, con paginación por cursor.
+ *
+ * @async
+ * @function
+ * @param {import('express').Request} req - Objeto de solicitud HTTP de Express que contiene el ID del pin en los parámetros y admite `cursor` y `limit` en la consulta.
+ * @param {import('express').Response} res - Objeto de respuesta HTTP de Express.
+ * @returns {Promise<void>} No retorna ningún valor directamente, pero envía la respuesta HTTP con `{ pins, nextCursor }`.
+ *
+ * @description
+ * Los pines candidatos son los que comparten etiquetas, tablero o creador con el pin, y los
+ * guardados por los usuarios que también guardaron el pin. Cada candidato recibe una puntuación
+ * (`score`) según `RELATED_PIN_WEIGHTS` y se ordenan de mayor a menor puntuación y después
+ * por fecha. Se excluyen el propio pin y los pines que el usuario no puede ver.
+ */
+export const getRelatedPins = async (req, res) => {
+  debug('Iniciando recuperación de pines relacionados', {
+    params: req.params,
+    query: req.query,
+  })
+
+  try {
+    const { id } = req.params
+    const { cursor, limit } = req.query
+
+    const pageSize = getPageSize(limit)
+    const sortSpec = [
+      { field: 'score', order: -1, type: 'number' },
+      ...NEWEST_FIRST,
+    ]
+    const after = cursor ? decodeCursor(cursor, sortSpec) : null
+
+    if (cursor && !after) {
+      return responseReturn(res, 400, { message: 'Cursor no válido' })
+    }
+
+    const pin = await Pin.findById(id)
+
+    if (!pin || !(await canViewPin(pin, req.userId))) {
+      return responseReturn(res, 404, { message: 'Pin no encontrado' })
+    }
+
+    const [coSaves, visibilityFilter] = await Promise.all([
+      getCoSavedPins(pin._id),
+      buildPinVisibilityFilter(req.userId),
+    ])
+
+    const results = await Pin.aggregate([
+      ...buildRelatedPinStages(pin, coSaves, visibilityFilter),
+      ...buildPageStages(sortSpec, after, pageSize),
+    ])
+
+    const { items, nextCursor } = toPage(results, sortSpec, pageSize)
+
+    const response = { pins: items.map(withMediaUrl), nextCursor }
+
+    info('Pines relacionados recuperados con éxito', {
+      pinId: id,
+      count: items.length,
+    })
+
+    return responseReturn(res, 200, response)
+  } catch (err) {
+    error('Error al recuperar pines relacionados', {
+      error: err.message,
+      stack: err.stack,
+    })
+
+    return responseReturn(res, 500, {
+      message: 'Error al recuperar pines relacionados',
+      error: err.message,
+    })
+  }
+}
+
 /**
  * Crea un nuevo pin en la base de datos.
  *
@@ -138,7 +463,10 @@ export const getPin = async (req, res) => {
  *
  * @description
  * Esta función crea un nuevo pin utilizando los datos proporcionados en el cuerpo de la solicitud.
- * Asocia automáticamente el pin al usuario autenticado que realiza la solicitud.
+ * La imagen se renderiza en el servidor con las opciones del editor (`canvasOptions` y `textOptions`)
+ * antes de subirla, de modo que el archivo almacenado es el definitivo con cualquier proveedor.
+ * Asocia automáticamente el pin al usuario autenticado que realiza la solicitud. Si se indica un
+ * tablero, el usuario debe ser su propietario o un colaborador con rol de editor.
  * En caso de éxito, retorna el objeto del pin recién creado con un estado 201.
  * En caso de error, retorna un mensaje descriptivo del problema encontrado con un estado 500.
  */
@@ -157,121 +485,60 @@ export const createPin = async (req, res) => {
       newBoard,
     } = req.body
 
-    const media = req.files.media
-
-    const parsedTextOptions = JSON.parse(textOptions || '{}')
-    const parsedCanvasOptions = JSON.parse(canvasOptions || '{}')
-
-    const metadata = await sharp(media.data).metadata()
-
-    const originalOrientation =
-      metadata.width < metadata.height ? 'portrait' : 'landscape'
-    const originalAspectRatio = metadata.width / metadata.height
-
-    let clientAspectRatio
-    let width
-    let height
+    const media = req.files?.media
 
-    if (parsedCanvasOptions.size !== 'original') {
-      clientAspectRatio =
-        parsedCanvasOptions.size.split(':')[0] /
-        parsedCanvasOptions.size.split(':')[1]
-    } else {
-      if (parsedCanvasOptions.orientation === originalOrientation) {
-        clientAspectRatio = originalOrientation
-      } else {
-        clientAspectRatio = 1 / originalAspectRatio
-      }
+    if (!media) {
+      return responseReturn(res, 400, { message: 'La imagen es requerida' })
     }
 
-    width = metadata.width
-    height = metadata.width / clientAspectRatio
-
-    const imageKit = new ImageKit({
-      publicKey: IMAGEKIT_PUBLIC_KEY,
-      privateKey: IMAGEKIT_PRIVATE_KEY,
-      urlEndpoint: IMAGEKIT_URL_ENDPOINT,
-    })
+    const targetBoard =
+      board && !newBoard ? await findPinnableBoard(board, req.userId) : null
 
-    const textLeftPosition = Math.round((parsedTextOptions.left * width) / 375)
+    if (board && !newBoard && !targetBoard) {
+      return responseReturn(res, 403, {
+        message: 'No tienes permiso para usar este tablero',
+      })
+    }
 
-    const textTopPosition = Math.round(
-      (parsedTextOptions.top * height) / parsedCanvasOptions.height
+    const rendered = await renderPinImage(
+      media.data,
+      JSON.parse(canvasOptions || '{}'),
+      JSON.parse(textOptions || '{}')
     )
 
-    let croppingStrategy = ''
+    const uploaded = await storage.upload(
+      rendered.data,
+      createMediaKey('pins', media.name)
+    )
 
-    if (parsedCanvasOptions.size !== 'original') {
-      if (originalAspectRatio > clientAspectRatio) {
-        croppingStrategy = ',cm-pad_resize'
-      }
-    } else {
-      if (
-        originalOrientation === 'landscape' &&
-        parsedCanvasOptions.orientation === 'portrait'
-      ) {
-        croppingStrategy = ',cm-pad_resize'
-      }
-    }
+    let newBoardId
 
-    const transformationString = `w-${width},h-${height}${croppingStrategy},bg-${parsedCanvasOptions.backgroundColor.substring(
-      1
-    )}${
-      parsedTextOptions.text
-        ? `,l-text,i-${parsedTextOptions.text},fs-${
-            parsedTextOptions.fontSize * 2.1
-          },lx-${textLeftPosition},ly-${textTopPosition},co-${parsedTextOptions.color.substring(
-            1
-          )},l-end`
-        : ''
-    }`
-
-    imageKit
-      .upload({
-        file: media.data,
-        fileName: media.name,
-        folder: 'app-pinterest',
-        transformation: { pre: transformationString },
+    if (newBoard) {
+      const createdBoard = await Board.create({
+        title: newBoard,
+        user: req.userId,
       })
-      .then(async (result) => {
-        let newBoardId
 
-        if (newBoard) {
-          const res = await Board.create({
-            title: newBoard,
-            user: req.userId,
-          })
-
-          newBoardId = res._id
-        }
+      newBoardId = createdBoard._id
+    }
 
-        const newPin = await Pin.create({
-          user: req.userId,
-          title,
-          description,
-          link: link || null,
-          board: newBoardId || board || null,
-          tags: tags ? tags.split(',').map((tag) => tag.trim()) : [],
-          media: result.filePath,
-          width: result.width,
-          height: result.height,
-        })
+    const newPin = await Pin.create({
+      user: req.userId,
+      title,
+      description,
+      link: link || null,
+      board: newBoardId || board || null,
+      secret: targetBoard?.visibility === 'secret',
+      position: getTopPosition(),
+      tags: parseTags(tags),
+      media: uploaded.key,
+      width: rendered.width,
+      height: rendered.height,
+    })
 
-        info('Pin creado con éxito', newPin)
+    info('Pin creado con éxito', newPin)
 
-        return responseReturn(res, 201, newPin)
-      })
-      .catch((errorTemp) => {
-        error('Error al subir la imagen a ImageKit', {
-          error: errorTemp.message,
-          stack: errorTemp.stack,
-        })
-
-        return responseReturn(res, 500, {
-          message: 'Error al subir la imagen a ImageKit',
-          error: errorTemp.message,
-        })
-      })
+    return responseReturn(res, 201, newPin)
   } catch (err) {
     error('Error al crear pin', {
       error: err.message,
@@ -288,8 +555,10 @@ export const createPin = async (req, res) => {
 /**
  * Verifica la interacción de un usuario con un pin específico.
  *
- * Este controlador obtiene el número de "likes" de un pin y determina si el usuario autenticado
- * ha dado "like" o ha guardado el pin. Si el usuario no está autenticado, solo retorna el contador de "likes".
+ * Este controlador obtiene el número de "likes" y de guardados de un pin (contadores almacenados en el pin) y determina si el usuario
+ * autenticado ha dado "like" o ha guardado el pin, y en qué tableros lo ha guardado. Si el usuario
+ * no está autenticado, solo retorna los contadores. Los pines de tableros secretos que el usuario
+ * no puede ver responden con 404, igual que si no existieran.
  *
  * @async
  * @function
@@ -305,50 +574,42 @@ export const interactionCheck = async (req, res) => {
   try {
     const { id } = req.params
 
-    const token = req.cookies.token
-    const likeCount = await Like.countDocuments({ pin: id })
+    const pin = await Pin.findById(id, 'likeCount saveCount user board secret')
+
+    if (!pin || !(await canViewPin(pin, req.userId))) {
+      return responseReturn(res, 404, { message: 'Pin no encontrado' })
+    }
+
+    const { likeCount, saveCount } = pin
 
-    info('Contador de likes recuperado con éxito', {
+    const anonymousResponse = {
       likeCount,
+      saveCount,
       isLiked: false,
       isSaved: false,
-    })
+      savedBoards: [],
+    }
 
-    if (!token)
-      return responseReturn(res, 200, {
-        likeCount,
-        isLiked: false,
-        isSaved: false,
-      })
+    info('Contadores del pin recuperados con éxito', anonymousResponse)
 
-    jwt.verify(token, JWT_SECRET, async (errorJwt, payload) => {
-      if (errorJwt) {
-        info('Token inválido', errorJwt)
+    const userId = req.userId
 
-        return responseReturn(res, 200, {
-          likeCount,
-          isLiked: false,
-          isSaved: false,
-        })
-      }
+    if (!userId) return responseReturn(res, 200, anonymousResponse)
 
-      const userId = payload.userId
+    const isLiked = await Like.findOne({ user: userId, pin: id })
+    const save = await Save.findOne({ user: userId, pin: id })
 
-      const isLiked = await Like.findOne({ user: userId, pin: id })
-      const isSaved = await Save.findOne({ user: userId, pin: id })
+    const response = {
+      likeCount,
+      saveCount,
+      isLiked: isLiked ? true : false,
+      isSaved: save ? true : false,
+      savedBoards: save ? save.boards.map(({ board }) => board) : [],
+    }
 
-      info('Contador de likes recuperado con éxito', {
-        likeCount,
-        isLiked: isLiked ? true : false,
-        isSaved: isSaved ? true : false,
-      })
+    info('Interacción del usuario recuperada con éxito', response)
 
-      return responseReturn(res, 200, {
-        likeCount,
-        isLiked: isLiked ? true : false,
-        isSaved: isSaved ? true : false,
-      })
-    })
+    return responseReturn(res, 200, response)
   } catch (err) {
     error('Error al recuperar pin', {
       error: err.message,
@@ -362,62 +623,631 @@ export const interactionCheck = async (req, res) => {
   }
 }
 
+/**
+ * Verifica la interacción del usuario con varios pines en una sola petición.
+ *
+ * @async
+ * @function
+ * @param {import('express').Request} req - Objeto de solicitud HTTP de Express, debe contener `ids` (IDs de pines) en el cuerpo.
+ * @param {import('express').Response} res - Objeto de respuesta HTTP de Express.
+ * @returns {Promise<void>} No retorna ningún valor directamente, responde con `{ interactions }`, un objeto indexado por ID de pin.
+ *
+ * @description
+ * Para cada pin devuelve los mismos datos que `interactionCheck` (`likeCount`, `saveCount`,
+ * `isLiked`, `isSaved` y `savedBoards`) usando tres consultas en total, independientemente del
+ * número de pines. Los pines que no existen o que el usuario no puede ver se omiten.
+ */
+export const batchInteractionCheck = async (req, res) => {
+  debug('Iniciando verificación de interacciones en lote', {
+    body: req.body,
+    userId: req.userId,
+  })
+
+  try {
+    const ids = [...new Set(req.body.ids)]
+
+    const visibilityFilter = await buildPinVisibilityFilter(req.userId)
+
+    const pins = await Pin.find(
+      { $and: [visibilityFilter, { _id: { $in: ids } }] },
+      'likeCount saveCount'
+    ).lean()
+
+    const viewerStates = await getViewerStates(
+      pins.map((pin) => pin._id),
+      req.userId
+    )
+
+    const interactions = Object.fromEntries(
+      pins.map((pin) => [
+        String(pin._id),
+        {
+          likeCount: pin.likeCount || 0,
+          saveCount: pin.saveCount || 0,
+          ...viewerStates.get(String(pin._id)),
+        },
+      ])
+    )
+
+    info('Interacciones en lote recuperadas con éxito', {
+      requested: ids.length,
+      found: pins.length,
+    })
+
+    return responseReturn(res, 200, { interactions })
+  } catch (err) {
+    error('Error al verificar las interacciones en lote', {
+      error: err.message,
+      stack: err.stack,
+    })
+
+    return responseReturn(res, 500, {
+      message: 'Error al verificar las interacciones en lote',
+      error: err.message,
+    })
+  }
+}
+
 /**
  * Controlador para interactuar con un pin (dar like o guardar).
  * Permite al usuario alternar entre dar/quitar like o guardar/quitar guardado en un pin específico.
  *
  * @async
  * @function
- * @param {import('express').Request} req - Objeto de solicitud de Express, debe contener el ID del pin en los parámetros y el tipo de interacción ('like' o 'save') en el cuerpo.
+ * @param {import('express').Request} req - Objeto de solicitud de Express, debe contener el ID del pin en los parámetros y el tipo de interacción ('like' o 'save') en el cuerpo. Al guardar admite `board` (ID de un tablero del usuario) o `newBoard` (título de un tablero nuevo).
  * @param {import('express').Response} res - Objeto de respuesta de Express.
- * @returns {Promise<void>} Devuelve una respuesta HTTP con el resultado de la interacción.
+ * @returns {Promise<void>} Devuelve una respuesta HTTP con el nuevo estado de la interacción y su contador.
+ *
+ * @description
+ * Al guardar sin tablero se alterna el guardado en el perfil; quitarlo elimina el pin de todos
+ * los tableros del usuario. Al guardar con tablero se alterna el pin en ese tablero, de modo
+ * que un mismo pin puede guardarse en varios tableros; al quitarlo del último deja de estar guardado.
+ * El tablero debe ser del usuario o uno en el que sea editor.
+ *
+ * Como el resultado depende del estado previo, los clientes deberían usar las operaciones
+ * explícitas e idempotentes (`PUT`/`DELETE` de `/pins/:id/like` y `/pins/:id/save`).
  *
  * @throws {Error} Retorna un error 500 si ocurre algún problema durante la interacción.
  */
-export const interact = async (req, res) => {
-  debug('Iniciando interacción con el pin', {
+export const interact = (req, res) => {
+  const { type, board, newBoard } = req.body
+
+  if (type === 'like') {
+    return runInteraction(req, res, {
+      type,
+      apply: async (pin) => {
+        const isLiked = await Like.exists({ pin: pin._id, user: req.userId })
+
+        if (isLiked) await removeLike(pin._id, req.userId)
+        else await addLike(pin._id, req.userId)
+      },
+    })
+  }
+
+  return runInteraction(req, res, {
+    type,
+    resolveBoard: Boolean(board || newBoard),
+    apply: async (pin, boardId) => {
+      const isSaved = await Save.exists({
+        pin: pin._id,
+        user: req.userId,
+        ...(boardId && { 'boards.board': boardId }),
+      })
+
+      if (isSaved) await removeSave(pin._id, req.userId, boardId)
+      else await addSave(pin._id, req.userId, boardId)
+    },
+  })
+}
+
+/**
+ * Da like a un pin. Es idempotente: si el usuario ya le había dado like no cambia nada.
+ *
+ * @async
+ * @function
+ * @param {import('express').Request} req - Objeto de solicitud de Express, debe contener el ID del pin en los parámetros.
+ * @param {import('express').Response} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Devuelve una respuesta HTTP con `isLiked` y `likeCount`.
+ */
+export const likePin = (req, res) =>
+  runInteraction(req, res, {
+    type: 'like',
+    apply: (pin) => addLike(pin._id, req.userId),
+  })
+
+/**
+ * Quita el like a un pin. Es idempotente: si el usuario no le había dado like no cambia nada.
+ *
+ * @async
+ * @function
+ * @param {import('express').Request} req - Objeto de solicitud de Express, debe contener el ID del pin en los parámetros.
+ * @param {import('express').Response} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Devuelve una respuesta HTTP con `isLiked` y `likeCount`.
+ */
+export const unlikePin = (req, res) =>
+  runInteraction(req, res, {
+    type: 'like',
+    apply: (pin) => removeLike(pin._id, req.userId),
+  })
+
+/**
+ * Guarda un pin en el perfil del usuario y, opcionalmente, en un tablero. Es idempotente:
+ * guardar de nuevo en el mismo tablero no cambia nada.
+ *
+ * @async
+ * @function
+ * @param {import('express').Request} req - Objeto de solicitud de Express, debe contener el ID del pin en los parámetros y admite `board` (ID de un tablero del usuario) o `newBoard` (título de un tablero nuevo) en el cuerpo.
+ * @param {import('express').Response} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Devuelve una respuesta HTTP con `isSaved`, `saveCount` y `savedBoards`.
+ */
+export const savePin = (req, res) =>
+  runInteraction(req, res, {
+    type: 'save',
+    resolveBoard: Boolean(req.body?.board || req.body?.newBoard),
+    apply: (pin, boardId) => addSave(pin._id, req.userId, boardId),
+  })
+
+/**
+ * Quita un pin guardado. Con `board` en la consulta solo lo quita de ese tablero; sin él lo
+ * quita del perfil y de todos los tableros. Es idempotente.
+ *
+ * @async
+ * @function
+ * @param {import('express').Request} req - Objeto de solicitud de Express, debe contener el ID del pin en los parámetros y admite `board` en la consulta.
+ * @param {import('express').Response} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Devuelve una respuesta HTTP con `isSaved`, `saveCount` y `savedBoards`.
+ */
+export const unsavePin = (req, res) =>
+  runInteraction(req, res, {
+    type: 'save',
+    apply: (pin) => removeSave(pin._id, req.userId, req.query.board || null),
+  })
+
+/**
+ * Actualiza los datos editables de un pin.
+ *
+ * @async
+ * @function
+ * @param {import('express').Request} req - Objeto de solicitud de Express, debe contener el ID del pin en los parámetros y los campos a modificar (title, description, link, tags, board) en el cuerpo.
+ * @param {import('express').Response} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Devuelve una respuesta HTTP con el pin actualizado o un mensaje de error.
+ *
+ * @description
+ * Solo el usuario que creó el pin puede modificarlo. Si se indica un tablero, el usuario
+ * debe ser su propietario o editor; enviar `board` vacío o nulo desasigna el pin.
+ * Los campos no enviados conservan su valor actual.
+ */
+export const updatePin = async (req, res) => {
+  debug('Iniciando actualización de pin', {
     params: req.params,
     body: req.body,
+    userId: req.userId,
   })
 
   try {
     const { id } = req.params
+    const { title, description, link, tags, board } = req.body
 
-    const { type } = req.body
+    const pin = await Pin.findById(id)
 
-    const userId = req.userId
+    if (!pin) {
+      return responseReturn(res, 404, { message: 'Pin no encontrado' })
+    }
 
-    if (type === 'like') {
-      const isLiked = await Like.findOne({ pin: id, user: userId })
+    if (pin.user.toString() !== req.userId) {
+      return responseReturn(res, 403, {
+        message: 'No tienes permiso para modificar este pin',
+      })
+    }
+
+    const targetBoard = board
+      ? await findPinnableBoard(board, req.userId)
+      : null
 
-      info('Verificando like', { isLiked })
+    if (board && !targetBoard) {
+      return responseReturn(res, 403, {
+        message: 'No tienes permiso para usar este tablero',
+      })
+    }
 
-      if (isLiked) {
-        await Like.deleteOne({ pin: id, user: userId })
+    if (title !== undefined) pin.title = title
+    if (description !== undefined) pin.description = description
+    if (link !== undefined) pin.link = link || null
+    if (tags !== undefined) pin.tags = parseTags(tags)
 
-        info('Like eliminado con éxito', { pinId: id, userId: userId })
-      } else {
-        await Like.create({ pin: id, user: userId })
+    const boardChanged =
+      board !== undefined &&
+      String(pin.board || '') !== String(targetBoard?._id || '')
 
-        info('Like agregado con éxito', { pinId: id, userId: userId })
-      }
-    } else {
-      const isSaved = await Save.findOne({ pin: id, user: userId })
+    if (boardChanged) {
+      pin.board = targetBoard?._id || null
+      pin.secret = targetBoard?.visibility === 'secret'
+      pin.section = null
+      pin.position = getTopPosition()
+    }
+
+    await pin.save()
+
+    if (board !== undefined) await clearBoardCovers([pin._id], pin.board)
+
+    info('Pin actualizado con éxito', pin)
 
-      info('Verificando guardado', { isSaved })
+    return responseReturn(res, 200, pin)
+  } catch (err) {
+    error('Error al actualizar pin', {
+      error: err.message,
+      stack: err.stack,
+    })
 
-      if (isSaved) {
-        await Save.deleteOne({ pin: id, user: userId })
+    return responseReturn(res, 500, {
+      message: 'Error al actualizar pin',
+      error: err.message,
+    })
+  }
+}
 
-        info('Guardado eliminado con éxito', { pinId: id, userId: userId })
-      } else {
-        await Save.create({ pin: id, user: userId })
+/**
+ * Elimina un pin junto con sus likes, guardados, comentarios y el archivo subido.
+ *
+ * @async
+ * @function
+ * @param {import('express').Request} req - Objeto de solicitud de Express, debe contener el ID del pin en los parámetros.
+ * @param {import('express').Response} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Devuelve una respuesta HTTP confirmando la eliminación o un mensaje de error.
+ *
+ * @description
+ * Solo el usuario que creó el pin puede eliminarlo. Se eliminan los documentos relacionados,
+ * el propio pin y el archivo almacenado mediante `deletePinsWithRelations`.
+ */
+export const deletePin = async (req, res) => {
+  debug('Iniciando eliminación de pin', {
+    params: req.params,
+    userId: req.userId,
+  })
+
+  try {
+    const { id } = req.params
+
+    const pin = await Pin.findById(id)
+
+    if (!pin) {
+      return responseReturn(res, 404, { message: 'Pin no encontrado' })
+    }
+
+    if (pin.user.toString() !== req.userId) {
+      return responseReturn(res, 403, {
+        message: 'No tienes permiso para eliminar este pin',
+      })
+    }
+
+    await deletePinsWithRelations([pin])
+
+    info('Pin eliminado con éxito', { pinId: id, userId: req.userId })
+
+    return responseReturn(res, 200, { message: 'Pin eliminado con éxito' })
+  } catch (err) {
+    error('Error al eliminar pin', {
+      error: err.message,
+      stack: err.stack,
+    })
+
+    return responseReturn(res, 500, {
+      message: 'Error al eliminar pin',
+      error: err.message,
+    })
+  }
+}
+
+/**
+ * Convierte las etiquetas recibidas (cadena separada por comas o arreglo) en un arreglo limpio.
+ *
+ * @private
+ * @param {string|string[]} tags - Etiquetas enviadas por el cliente.
+ * @returns {string[]} Etiquetas sin espacios sobrantes ni valores vacíos.
+ */
+const parseTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',')
+
+  return list.map((tag) => String(tag).trim()).filter(Boolean)
+}
 
-        info('Guardado agregado con éxito', { pinId: id, userId: userId })
+/**
+ * Construye las etapas de filtrado de la agregación de pines combinando los filtros recibidos.
+ *
+ * @private
+ * @param {Object} filters - Filtros de la consulta.
+ * @param {string} [filters.search] - Término de búsqueda de texto completo.
+ * @param {string} [filters.userId] - ID del creador de los pines.
+ * @param {string} [filters.boardId] - ID del tablero de los pines.
+ * @param {string} [filters.sectionId] - ID de la sección del tablero.
+ * @param {Object} visibilityFilter - Filtro de pines visibles para el usuario.
+ * @returns {Object[]} Etapas de agregación.
+ */
+const buildPinMatchStages = (
+  { search, userId, boardId, sectionId },
+  visibilityFilter
+) => {
+  const pinFilter = { $and: [visibilityFilter] }
+
+  if (userId) pinFilter.user = new Types.ObjectId(userId)
+
+  const match = { ...pinFilter }
+  const board = boardId && new Types.ObjectId(boardId)
+  const includeSavedPins = board && !sectionId
+
+  if (search) match.$text = { $search: search }
+
+  // Con búsqueda, los pines guardados se filtran después: `$text` solo se admite en la primera etapa
+  if (board && !(includeSavedPins && search)) match.board = board
+  if (sectionId) match.section = new Types.ObjectId(sectionId)
+
+  const stages = [{ $match: match }]
+
+  if (search) stages.push({ $addFields: { score: { $meta: 'textScore' } } })
+
+  if (includeSavedPins) {
+    stages.push(
+      ...(search
+        ? buildBoardSavedPinsLookupStages(board)
+        : [buildBoardSavedPinsUnionStage(board, pinFilter)])
+    )
+  }
+
+  return stages
+}
+
+/**
+ * Construye las etapas de agregación que normalizan un contador almacenado en el pin, para
+ * que los pines creados antes de existir el contador ordenen como si valiera 0.
+ *
+ * @private
+ * @param {'likeCount'|'saveCount'} field - Nombre del contador.
+ * @returns {Object[]} Etapas de agregación.
+ */
+const buildStoredCounterStages = (field) => [
+  { $addFields: { [field]: { $ifNull: [`$${field}`, 0] } } },
+]
+
+/**
+ * Construye las etapas de ordenación de la agregación de pines y el orden usado para paginar.
+ *
+ * @private
+ * @param {string} [sort] - Modo de ordenación: `relevance`, `newest`, `likes`, `saves` o `position`.
+ * @param {Object} context - Contexto de la consulta.
+ * @param {boolean} context.hasSearch - Indica si la consulta incluye búsqueda de texto.
+ * @param {boolean} context.hasBoard - Indica si la consulta se limita a un tablero.
+ * @returns {{stages: Object[], sortSpec: import('../utils/pagination.util.js').SortField[]}} Etapas previas a la ordenación y orden del listado.
+ */
+const buildPinSortStages = (sort, { hasSearch, hasBoard }) => {
+  const defaultMode = hasBoard ? 'position' : 'newest'
+  const mode = sort || (hasSearch ? 'relevance' : defaultMode)
+
+  if (mode === 'position' && hasBoard) {
+    return {
+      stages: [buildBoardPositionStage()],
+      sortSpec: [
+        { field: 'boardPosition', order: -1, type: 'number' },
+        { field: '_id', order: -1, type: 'objectId' },
+      ],
+    }
+  }
+
+  if (mode === 'likes') {
+    return {
+      stages: buildStoredCounterStages('likeCount'),
+      sortSpec: [
+        { field: 'likeCount', order: -1, type: 'number' },
+        ...NEWEST_FIRST,
+      ],
+    }
+  }
+
+  if (mode === 'saves') {
+    return {
+      stages: buildStoredCounterStages('saveCount'),
+      sortSpec: [
+        { field: 'saveCount', order: -1, type: 'number' },
+        ...NEWEST_FIRST,
+      ],
+    }
+  }
+
+  if (mode === 'relevance' && hasSearch) {
+    return {
+      stages: [],
+      sortSpec: [{ field: 'score', order: -1, type: 'number' }, ...NEWEST_FIRST],
+    }
+  }
+
+  return { stages: [], sortSpec: NEWEST_FIRST }
+}
+
+/**
+ * Peso de cada criterio en la puntuación de los pines relacionados.
+ *
+ * @private
+ * @constant {{tag: number, board: number, creator: number, coSave: number}}
+ */
+const RELATED_PIN_WEIGHTS = {
+  tag: 3,
+  board: 2,
+  creator: 1,
+  coSave: 2,
+}
+
+/**
+ * Número máximo de usuarios que guardaron el pin, y de pines guardados por ellos, que se
+ * tienen en cuenta al calcular los guardados en común.
+ *
+ * @private
+ * @constant {number}
+ */
+const CO_SAVE_SAMPLE_SIZE = 500
+
+/**
+ * Obtiene los pines guardados por los usuarios que también guardaron el pin indicado, con el
+ * número de esos usuarios que guardó cada uno. Se usan los guardados más recientes.
+ *
+ * @private
+ * @async
+ * @param {import('mongoose').Types.ObjectId} pinId - ID del pin.
+ * @returns {Promise<{pinIds: import('mongoose').Types.ObjectId[], counts: number[]}>} Pines y contadores como listas paralelas.
+ */
+const getCoSavedPins = async (pinId) => {
+  const savers = await Save.find({ pin: pinId }, 'user')
+    .sort({ createdAt: -1 })
+    .limit(CO_SAVE_SAMPLE_SIZE)
+    .lean()
+
+  if (!savers.length) return { pinIds: [], counts: [] }
+
+  const coSaves = await Save.aggregate([
+    {
+      $match: {
+        user: { $in: savers.map((save) => save.user) },
+        pin: { $ne: pinId },
+      },
+    },
+    { $group: { _id: '$pin', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: -1 } },
+    { $limit: CO_SAVE_SAMPLE_SIZE },
+  ])
+
+  return {
+    pinIds: coSaves.map((item) => item._id),
+    counts: coSaves.map((item) => item.count),
+  }
+}
+
+/**
+ * Construye las etapas de agregación que seleccionan los pines relacionados con un pin y
+ * calculan su puntuación (`score`).
+ *
+ * @private
+ * @param {Object} pin - Pin de referencia.
+ * @param {{pinIds: import('mongoose').Types.ObjectId[], counts: number[]}} coSaves - Pines guardados en común.
+ * @param {Object} visibilityFilter - Filtro de pines visibles para el usuario.
+ * @returns {Object[]} Etapas de agregación.
+ */
+const buildRelatedPinStages = (pin, coSaves, visibilityFilter) => {
+  const candidates = [{ user: pin.user }]
+
+  if (pin.tags.length) candidates.push({ tags: { $in: pin.tags } })
+  if (pin.board) candidates.push({ board: pin.board })
+  if (coSaves.pinIds.length) candidates.push({ _id: { $in: coSaves.pinIds } })
+
+  const coSaveCount = {
+    $let: {
+      vars: { index: { $indexOfArray: [coSaves.pinIds, '$_id'] } },
+      in: {
+        $cond: [
+          { $gte: ['$$index', 0] },
+          { $arrayElemAt: [coSaves.counts, '$$index'] },
+          0,
+        ],
+      },
+    },
+  }
+
+  return [
+    {
+      $match: {
+        $and: [visibilityFilter, { _id: { $ne: pin._id } }, { $or: candidates }],
+      },
+    },
+    {
+      $addFields: {
+        score: {
+          $add: [
+            {
+              $multiply: [
+                RELATED_PIN_WEIGHTS.tag,
+                {
+                  $size: {
+                    $setIntersection: [{ $ifNull: ['$tags', []] }, pin.tags],
+                  },
+                },
+              ],
+            },
+            pin.board
+              ? {
+                  $cond: [
+                    { $eq: ['$board', pin.board] },
+                    RELATED_PIN_WEIGHTS.board,
+                    0,
+                  ],
+                }
+              : 0,
+            {
+              $cond: [
+                { $eq: ['$user', pin.user] },
+                RELATED_PIN_WEIGHTS.creator,
+                0,
+              ],
+            },
+            { $multiply: [RELATED_PIN_WEIGHTS.coSave, coSaveCount] },
+          ],
+        },
+      },
+    },
+  ]
+}
+
+/**
+ * Ejecuta una interacción del usuario autenticado con el pin de `req.params.id` y responde con
+ * el nuevo estado de la interacción y su contador.
+ *
+ * Comprueba que el pin existe y es visible para el usuario y, si se pide, resuelve el tablero
+ * de destino de un guardado a partir de `board` o `newBoard` en el cuerpo.
+ *
+ * @private
+ * @async
+ * @param {import('express').Request} req - Objeto de solicitud de Express.
+ * @param {import('express').Response} res - Objeto de respuesta de Express.
+ * @param {Object} options - Opciones de la interacción.
+ * @param {'like'|'save'} options.type - Tipo de interacción.
+ * @param {boolean} [options.resolveBoard] - Indica si se debe resolver el tablero de destino.
+ * @param {(pin: Object, boardId: import('mongoose').Types.ObjectId|null) => Promise<void>} options.apply - Operación a ejecutar.
+ * @returns {Promise<void>}
+ */
+const runInteraction = async (req, res, { type, resolveBoard, apply }) => {
+  debug('Iniciando interacción con el pin', {
+    params: req.params,
+    body: req.body,
+    query: req.query,
+    type,
+  })
+
+  try {
+    const pin = await Pin.findById(req.params.id)
+
+    if (!pin || !(await canViewPin(pin, req.userId))) {
+      return responseReturn(res, 404, { message: 'Pin no encontrado' })
+    }
+
+    let boardId = null
+
+    if (resolveBoard) {
+      const target = await resolveSaveBoard(pin, req.userId, req.body)
+
+      if (target.status) {
+        return responseReturn(res, target.status, { message: target.message })
       }
+
+      boardId = target.boardId
     }
 
-    return responseReturn(res, 200, { message: 'Interacción exitosa' })
+    await apply(pin, boardId)
+
+    const state = await getInteractionState(type, pin._id, req.userId)
+
+    info('Interacción con el pin completada', {
+      pinId: pin._id,
+      userId: req.userId,
+      state,
+    })
+
+    return responseReturn(res, 200, { message: 'Interacción exitosa', ...state })
   } catch (err) {
     error('Error al interactuar con el pin', {
       error: err.message,
@@ -430,3 +1260,60 @@ export const interact = async (req, res) => {
     })
   }
 }
+
+/**
+ * Resuelve el tablero en el que se guarda un pin: uno existente del que el usuario es
+ * propietario o editor, o uno nuevo creado con el título de `newBoard`.
+ *
+ * @private
+ * @async
+ * @param {Object} pin - Pin que se guarda.
+ * @param {string} userId - ID del usuario autenticado.
+ * @param {Object} body - Cuerpo de la solicitud con `board` o `newBoard`.
+ * @returns {Promise<{boardId: import('mongoose').Types.ObjectId}|{status: number, message: string}>} Tablero de destino o el error a devolver.
+ */
+const resolveSaveBoard = async (pin, userId, { board, newBoard }) => {
+  if (newBoard) {
+    const createdBoard = await Board.create({ title: newBoard, user: userId })
+
+    return { boardId: createdBoard._id }
+  }
+
+  const targetBoard = await findPinnableBoard(board, userId)
+
+  if (!targetBoard) {
+    return {
+      status: 403,
+      message: 'No tienes permiso para usar este tablero',
+    }
+  }
+
+  if (pin.board?.equals(targetBoard._id)) {
+    return { status: 400, message: 'El pin ya pertenece a este tablero' }
+  }
+
+  return { boardId: targetBoard._id }
+}
+
+/**
+ * Obtiene el estado actual de una interacción del usuario con un pin y su contador.
+ *
+ * @private
+ * @async
+ * @param {'like'|'save'} type - Tipo de interacción.
+ * @param {import('mongoose').Types.ObjectId} pinId - ID del pin.
+ * @param {string} userId - ID del usuario.
+ * @returns {Promise<Object>} `{ isLiked, likeCount }` o `{ isSaved, saveCount, savedBoards }`.
+ */
+const getInteractionState = async (type, pinId, userId) => {
+  const [pin, viewerStates] = await Promise.all([
+    Pin.findById(pinId, 'likeCount saveCount').lean(),
+    getViewerStates([pinId], userId),
+  ])
+
+  const { isLiked, isSaved, savedBoards } = viewerStates.get(String(pinId))
+
+  if (type === 'like') return { isLiked, likeCount: pin?.likeCount || 0 }
+
+  return { isSaved, saveCount: pin?.saveCount || 0, savedBoards }
+}
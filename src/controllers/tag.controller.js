@@ -0,0 +1,46 @@
+import { getTrendingTagScores } from '../services/trending.service.js'
+import { debug, error, info } from '../utils/logger.js'
+import { responseReturn } from '../utils/res.util.js'
+
+/**
+ * Obtiene las etiquetas en tendencia en una ventana de tiempo.
+ *
+ * @async
+ * @function getTrendingTags
+ * @param {import('express').Request} req - Objeto de solicitud de Express, admite `window` (`24h`, `7d` o `30d`) en la consulta.
+ * @param {import('express').Response} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Devuelve una respuesta HTTP con `{ tags }`, donde cada etiqueta incluye `tag`, `score`, `previousScore`, `growth` y `pinCount`.
+ *
+ * @description
+ * La puntuación de cada etiqueta es la suma de la actividad reciente, con decaimiento temporal,
+ * de los pines públicos que la usan. Las etiquetas se ordenan por `growth`, el aumento de la
+ * puntuación respecto a la ventana anterior de la misma duración. El resultado se calcula en caché.
+ */
+export const getTrendingTags = async (req, res) => {
+  debug('Iniciando recuperación de etiquetas en tendencia', {
+    query: req.query,
+  })
+
+  try {
+    const { window = '7d' } = req.query
+
+    const tags = await getTrendingTagScores(window)
+
+    info('Etiquetas en tendencia recuperadas con éxito', {
+      window,
+      count: tags.length,
+    })
+
+    return responseReturn(res, 200, { tags })
+  } catch (err) {
+    error('Error al recuperar etiquetas en tendencia', {
+      error: err.message,
+      stack: err.stack,
+    })
+
+    return responseReturn(res, 500, {
+      message: 'Error al recuperar etiquetas en tendencia',
+      error: err.message,
+    })
+  }
+}
@@ -1,20 +1,58 @@
-/* eslint-disable no-unused-vars */
-
 import bcrypt from 'bcrypt'
-import jwt from 'jsonwebtoken'
-import { JWT_SECRET, NODE_ENV } from '../constants/config.js'
+import {
+  CLIENT_URL,
+  EMAIL_VERIFICATION_TTL,
+  NODE_ENV,
+  PASSWORD_RESET_TTL,
+  USERNAME_REDIRECT_DAYS,
+} from '../constants/config.js'
+import { sendMail } from '../mail/mail.js'
+import { signSessionToken } from '../middlewares/verifyToken.validator.js'
+import Board from '../models/board.model.js'
+import BoardFollow from '../models/boardFollow.model.js'
 import Follow from '../models/follow.model.js'
-import User from '../models/user.model.js'
-import { debug, error, info } from '../utils/logger.js'
+import Like from '../models/like.model.js'
+import Pin from '../models/pin.model.js'
+import Save from '../models/save.model.js'
+import { TOKEN_TYPES } from '../models/token.model.js'
+import User, {
+  USERNAME_COLLATION,
+  isEmailVerified,
+  serializeUser,
+} from '../models/user.model.js'
+import {
+  buildBoardVisibilityFilter,
+  buildPinVisibilityFilter,
+} from '../services/board.service.js'
+import { incrementFollowCounters } from '../services/counter.service.js'
+import { ensureInteraction } from '../services/interaction.service.js'
+import { withMediaUrl } from '../services/pin.service.js'
+import {
+  consumeToken,
+  createToken,
+  revokeTokens,
+} from '../services/token.service.js'
+import { createMediaKey, storage } from '../storage/storage.js'
+import { renderAvatarImages } from '../utils/image.util.js'
+import { debug, error, info, warn } from '../utils/logger.js'
+import {
+  NEWEST_FIRST,
+  buildKeysetFilter,
+  decodeCursor,
+  getPageSize,
+  toPage,
+  toSortObject,
+} from '../utils/pagination.util.js'
 import { responseReturn } from '../utils/res.util.js'
 
 /**
  * Registra un nuevo usuario en la base de datos.
  *
  * Este controlador recibe los datos del usuario desde el cuerpo de la solicitud,
- * crea un nuevo usuario con la contraseña hasheada, genera un token JWT y lo
- * almacena en una cookie HTTP-only. Devuelve los detalles del usuario registrado
- * (sin la contraseña) en la respuesta.
+ * crea un nuevo usuario con la contraseña hasheada y el correo sin verificar, le envía
+ * el enlace de verificación, genera un token JWT y lo almacena en una cookie HTTP-only.
+ * Si el envío del correo falla, el registro se completa igualmente. Devuelve los detalles del usuario registrado
+ * (ver `serializeUser`) en la respuesta.
  *
  * @async
  * @function registerUser
@@ -28,29 +66,45 @@ export const registerUser = async (req, res) => {
   try {
     const { username, displayName, email, password } = req.body
 
+    if (await User.exists({ email })) {
+      return sendConflict(res, 'email')
+    }
+
+    if (await isUsernameTaken(username)) {
+      return sendConflict(res, 'username')
+    }
+
     const newHashedPassword = await bcrypt.hash(password, 10)
 
     const user = await User.create({
       username,
       displayName,
       email,
+      emailVerified: false,
       hashedPassword: newHashedPassword,
     })
 
-    const token = jwt.sign({ userId: user._id }, JWT_SECRET)
+    setSessionCookie(res, user)
 
-    res.cookie('token', token, {
-      httpOnly: true,
-      secure: NODE_ENV === 'prod',
-      maxAge: 30 * 24 * 60 * 60 * 1000,
-    })
+    try {
+      await sendVerificationEmail(user)
+    } catch (mailErr) {
+      error('Error al enviar el correo de verificación', {
+        userId: user._id,
+        error: mailErr.message,
+      })
+    }
 
-    const { hashedPassword, ...detailsWithoutPassword } = user.toObject()
+    const userDetails = serializeUser(user, { isOwner: true })
 
-    info('Usuario registrado con éxito', detailsWithoutPassword)
+    info('Usuario registrado con éxito', userDetails)
 
-    return responseReturn(res, 201, detailsWithoutPassword)
+    return responseReturn(res, 201, userDetails)
   } catch (err) {
+    const field = getDuplicateKeyField(err)
+
+    if (field) return sendConflict(res, field)
+
     error('Error al registrar el usuario', {
       error: err.message,
       stack: err.stack,
@@ -69,7 +123,7 @@ export const registerUser = async (req, res) => {
  * Este controlador recibe el email/nombre de usuario y la contraseña desde el cuerpo de la solicitud,
  * verifica que las credenciales sean correctas, genera un token JWT y lo almacena
  * en una cookie HTTP-only. Devuelve los detalles del usuario autenticado
- * (sin la contraseña) en la respuesta.
+ * (ver `serializeUser`) en la respuesta.
  *
  * @async
  * @function loginUser
@@ -107,21 +161,14 @@ export const loginUser = async (req, res) => {
       })
     }
 
-    // Generar token JWT
-    const token = jwt.sign({ userId: user._id }, JWT_SECRET)
-
-    // Guardar token en cookie
-    res.cookie('token', token, {
-      httpOnly: true,
-      secure: NODE_ENV === 'prod',
-      maxAge: 30 * 24 * 60 * 60 * 1000, // 30 días
-    })
+    // Generar token JWT y guardarlo en cookie
+    setSessionCookie(res, user)
 
-    const { hashedPassword, ...detailsWithoutPassword } = user.toObject()
+    const userDetails = serializeUser(user, { isOwner: true })
 
-    info('Usuario autenticado con éxito', detailsWithoutPassword)
+    info('Usuario autenticado con éxito', userDetails)
 
-    return responseReturn(res, 200, detailsWithoutPassword)
+    return responseReturn(res, 200, userDetails)
   } catch (err) {
     error('Error al iniciar sesión', {
       error: err.message,
@@ -135,12 +182,53 @@ export const loginUser = async (req, res) => {
   }
 }
 
+/**
+ * Comprueba si un nombre de usuario está disponible para registrarse.
+ *
+ * @async
+ * @function checkUsernameAvailability
+ * @param {import('express').Request} req - Objeto de solicitud de Express, con `username` en la query.
+ * @param {import('express').Response} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} No retorna ningún valor directamente, pero envía la respuesta HTTP con `{ username, available }`.
+ *
+ * @description
+ * La comparación no distingue mayúsculas de minúsculas, y los nombres anteriores que aún
+ * redirigen a otro usuario se consideran ocupados.
+ */
+export const checkUsernameAvailability = async (req, res) => {
+  debug('Comprobando disponibilidad del nombre de usuario', {
+    query: req.query,
+  })
+
+  try {
+    const { username } = req.query
+
+    const isTaken = await isUsernameTaken(username)
+
+    return responseReturn(res, 200, { username, available: !isTaken })
+  } catch (err) {
+    error('Error al comprobar la disponibilidad del nombre de usuario', {
+      error: err.message,
+      stack: err.stack,
+    })
+
+    return responseReturn(res, 500, {
+      message: 'Error al comprobar la disponibilidad del nombre de usuario',
+      error: err.message,
+    })
+  }
+}
+
 /**
  * Obtiene la información de un usuario por su nombre de usuario.
  *
  * Este controlador busca un usuario en la base de datos utilizando el nombre
  * de usuario proporcionado como parámetro en la URL. Devuelve los detalles
- * del usuario encontrado (sin la contraseña) o un error si el usuario no existe.
+ * del usuario encontrado (ver `serializeUser`), incluidos los contadores de seguidores
+ * y seguidos almacenados en el usuario, o un error si el usuario no existe.
+ * Si el nombre de usuario es uno anterior de otro usuario, cambiado hace menos de
+ * `USERNAME_REDIRECT_DAYS` días, responde con 302 (una redirección temporal, ya que después
+ * otro usuario puede ocupar el nombre), la cabecera `Location` y el nombre actual.
  *
  * @async
  * @function getUser
@@ -156,9 +244,25 @@ export const getUser = async (req, res) => {
   try {
     const { username } = req.params
 
-    const user = await User.findOne({ username })
+    const user = await User.findOne({ username }).collation(USERNAME_COLLATION)
 
     if (!user) {
+      const renamedUser = await User.findOne(
+        buildPreviousUsernameFilter(username),
+        'username'
+      ).collation(USERNAME_COLLATION)
+
+      if (renamedUser) {
+        info(`Redirigiendo ${username} a ${renamedUser.username}`)
+
+        res.location(`/users/${encodeURIComponent(renamedUser.username)}`)
+
+        return responseReturn(res, 302, {
+          message: 'El usuario ha cambiado su nombre de usuario',
+          username: renamedUser.username,
+        })
+      }
+
       error(`Usuario no encontrado con el nombre de usuario: ${username}`)
 
       return responseReturn(res, 404, {
@@ -166,46 +270,34 @@ export const getUser = async (req, res) => {
       })
     }
 
-    const { hashedPassword, ...detailsWithoutPassword } = user.toObject()
-
-    const followerCount = await Follow.countDocuments({ following: user._id })
-
-    const followingCount = await Follow.countDocuments({ follower: user._id })
-
-    const token = req.cookies.token
+    const userDetails = serializeUser(user, {
+      isOwner: user._id.equals(req.userId),
+    })
 
-    if (!token) {
+    if (!req.userId) {
       const response = {
-        ...detailsWithoutPassword,
-        followerCount,
-        followingCount,
+        ...userDetails,
         isFollowing: false,
       }
 
-      info('Usuario encontrado sin token', detailsWithoutPassword)
+      info('Usuario encontrado sin token', userDetails)
 
       return responseReturn(res, 200, response)
-    } else {
-      jwt.verify(token, JWT_SECRET, async (errorJwt, payload) => {
-        if (!errorJwt) {
-          const isExists = await Follow.exists({
-            follower: payload.userId,
-            following: user._id,
-          })
-
-          const response = {
-            ...detailsWithoutPassword,
-            followerCount,
-            followingCount,
-            isFollowing: isExists ? true : false,
-          }
-
-          info('Usuario encontrado con token', response)
-
-          return responseReturn(res, 200, response)
-        }
-      })
     }
+
+    const isExists = await Follow.exists({
+      follower: req.userId,
+      following: user._id,
+    })
+
+    const response = {
+      ...userDetails,
+      isFollowing: isExists ? true : false,
+    }
+
+    info('Usuario encontrado con token', response)
+
+    return responseReturn(res, 200, response)
   } catch (err) {
     error('Error al buscar el usuario', {
       error: err.message,
@@ -223,12 +315,14 @@ export const getUser = async (req, res) => {
  * Permite a un usuario seguir a otro usuario.
  *
  * Este controlador busca al usuario objetivo por su nombre de usuario,
- * verifica que el usuario que realiza la acción esté autenticado y
- * crea una nueva relación de seguimiento si no existe previamente.
+ * verifica que el usuario que realiza la acción esté autenticado y no sea el mismo
+ * usuario, y crea una nueva relación de seguimiento si no existe previamente.
+ * Con `followBoards: true` en el body también sigue todos los tableros públicos del usuario,
+ * o deja de seguirlos si la acción es dejar de seguirlo.
  *
  * @async
  * @function followUser
- * @param {import('express').Request} req - Objeto de solicitud de Express, debe contener el username como parámetro de ruta y el token del usuario autenticado.
+ * @param {import('express').Request} req - Objeto de solicitud de Express, debe contener el username como parámetro de ruta y el token del usuario autenticado, y admite `followBoards` en el body.
  * @param {import('express').Response} res - Objeto de respuesta de Express.
  * @returns {Promise<void>} No retorna ningún valor directamente, pero envía la respuesta HTTP correspondiente.
  */
@@ -243,7 +337,9 @@ export const followUser = async (req, res) => {
     const followerUserId = req.userId
 
     // Buscar al usuario a seguir por su nombre de usuario
-    const userToFollow = await User.findOne({ username })
+    const userToFollow = await User.findOne({ username }).collation(
+      USERNAME_COLLATION
+    )
 
     if (!userToFollow) {
       error(`Usuario a seguir no encontrado: ${username}`)
@@ -253,28 +349,65 @@ export const followUser = async (req, res) => {
       })
     }
 
-    // Verificar si ya existe la relación de seguimiento
-    const existingFollow = await Follow.exists({
+    if (userToFollow._id.equals(followerUserId)) {
+      return responseReturn(res, 400, {
+        message: 'No puedes seguirte a ti mismo',
+      })
+    }
+
+    const followFilter = {
       follower: followerUserId,
       following: userToFollow._id,
-    })
+    }
+
+    // Si ya existe la relación de seguimiento, se elimina
+    const { deletedCount } = await Follow.deleteOne(followFilter)
+    const existingFollow = deletedCount > 0
 
     if (existingFollow) {
-      await Follow.deleteOne({
-        follower: followerUserId,
-        following: userToFollow._id,
-      })
+      await incrementFollowCounters(followerUserId, userToFollow._id, -1)
 
       info(`El usuario ${followerUserId} dejó de seguir a ${username}`)
     } else {
-      await Follow.create({
-        follower: followerUserId,
-        following: userToFollow._id,
-      })
+      // Los contadores solo cambian si esta petición ha creado el seguimiento
+      if (await ensureInteraction(Follow, followFilter)) {
+        await incrementFollowCounters(followerUserId, userToFollow._id, 1)
+      }
 
       info(`El usuario ${followerUserId} comenzó a seguir a ${username}`)
     }
 
+    if (req.body?.followBoards) {
+      const boardIds = await Board.distinct('_id', {
+        user: userToFollow._id,
+        visibility: { $ne: 'secret' },
+      })
+
+      if (existingFollow) {
+        await BoardFollow.deleteMany({
+          follower: followerUserId,
+          board: { $in: boardIds },
+        })
+      } else if (boardIds.length) {
+        await BoardFollow.bulkWrite(
+          boardIds.map((boardId) => ({
+            updateOne: {
+              filter: { follower: followerUserId, board: boardId },
+              update: {
+                $setOnInsert: { follower: followerUserId, board: boardId },
+              },
+              upsert: true,
+            },
+          }))
+        )
+      }
+
+      info('Tableros públicos del usuario actualizados en el seguimiento', {
+        username,
+        boardsCount: boardIds.length,
+      })
+    }
+
     return responseReturn(res, 200, { message: 'Satisfactorio' })
   } catch (err) {
     error('Error al seguir al usuario', {
@@ -289,6 +422,582 @@ export const followUser = async (req, res) => {
   }
 }
 
+/**
+ * Obtiene los pines que le gustan a un usuario, del último like al más antiguo.
+ *
+ * @async
+ * @function getUserLikes
+ * @param {import('express').Request} req - Objeto de solicitud de Express, debe contener el username como parámetro de ruta y admite `cursor` y `limit` en la consulta.
+ * @param {import('express').Response} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} No retorna ningún valor directamente, pero envía la respuesta HTTP con `{ pins, nextCursor }`.
+ *
+ * @description
+ * Si el usuario ha ocultado sus likes (`privacy.hideLikes`), solo él puede consultarlos.
+ * Cada pin incluye `likedAt` con la fecha del like.
+ */
+export const getUserLikes = (req, res) =>
+  getUserInteractionPins(req, res, {
+    InteractionModel: Like,
+    privacyField: 'hideLikes',
+    dateField: 'likedAt',
+    label: 'likes',
+  })
+
+/**
+ * Obtiene los pines guardados por un usuario, del último guardado al más antiguo.
+ *
+ * @async
+ * @function getUserSaves
+ * @param {import('express').Request} req - Objeto de solicitud de Express, debe contener el username como parámetro de ruta y admite `cursor` y `limit` en la consulta.
+ * @param {import('express').Response} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} No retorna ningún valor directamente, pero envía la respuesta HTTP con `{ pins, nextCursor }`.
+ *
+ * @description
+ * Si el usuario ha ocultado sus guardados (`privacy.hideSaves`), solo él puede consultarlos.
+ * Cada pin incluye `savedAt` con la fecha en que se guardó por primera vez. A quien no es el
+ * usuario no se le muestran los guardados que solo están en tableros secretos que no puede
+ * ver; los guardados solo en el perfil (sin tablero) sí se muestran.
+ */
+export const getUserSaves = (req, res) =>
+  getUserInteractionPins(req, res, {
+    InteractionModel: Save,
+    privacyField: 'hideSaves',
+    dateField: 'savedAt',
+    label: 'guardados',
+    hideSecretBoardSaves: true,
+  })
+
+/**
+ * Obtiene los seguidores de un usuario, del más reciente al más antiguo.
+ *
+ * @async
+ * @function getFollowers
+ * @param {import('express').Request} req - Objeto de solicitud de Express, debe contener el username como parámetro de ruta y admite `cursor` y `limit` en la consulta.
+ * @param {import('express').Response} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} No retorna ningún valor directamente, pero envía la respuesta HTTP con `{ users, nextCursor }`.
+ *
+ * @description
+ * Cada usuario incluye `followedAt`, `isFollowing` (el usuario autenticado lo sigue) y
+ * `followsYou` (sigue al usuario autenticado). Sin sesión ambos valores son `false`.
+ */
+export const getFollowers = (req, res) =>
+  getFollowList(req, res, {
+    ownerField: 'following',
+    listedField: 'follower',
+    label: 'seguidores',
+  })
+
+/**
+ * Obtiene los usuarios a los que sigue un usuario, del seguimiento más reciente al más antiguo.
+ *
+ * @async
+ * @function getFollowing
+ * @param {import('express').Request} req - Objeto de solicitud de Express, debe contener el username como parámetro de ruta y admite `cursor` y `limit` en la consulta.
+ * @param {import('express').Response} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} No retorna ningún valor directamente, pero envía la respuesta HTTP con `{ users, nextCursor }`.
+ *
+ * @description
+ * Cada usuario incluye `followedAt`, `isFollowing` y `followsYou` respecto al usuario autenticado.
+ */
+export const getFollowing = (req, res) =>
+  getFollowList(req, res, {
+    ownerField: 'follower',
+    listedField: 'following',
+    label: 'seguidos',
+  })
+
+/**
+ * Actualiza los ajustes de privacidad del usuario autenticado.
+ *
+ * @async
+ * @function updatePrivacySettings
+ * @param {import('express').Request} req - Objeto de solicitud de Express, admite `hideLikes` y `hideSaves` en el body.
+ * @param {import('express').Response} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} No retorna ningún valor directamente, pero envía la respuesta HTTP con los ajustes actualizados.
+ */
+export const updatePrivacySettings = async (req, res) => {
+  debug('Iniciando actualización de privacidad', {
+    body: req.body,
+    userId: req.userId,
+  })
+
+  try {
+    const { hideLikes, hideSaves } = req.body
+
+    const update = {}
+
+    if (hideLikes !== undefined) update['privacy.hideLikes'] = hideLikes
+    if (hideSaves !== undefined) update['privacy.hideSaves'] = hideSaves
+
+    const user = await User.findByIdAndUpdate(
+      req.userId,
+      { $set: update },
+      { new: true }
+    )
+
+    if (!user) {
+      return responseReturn(res, 404, { message: 'Usuario no encontrado' })
+    }
+
+    info('Privacidad actualizada con éxito', {
+      userId: req.userId,
+      privacy: user.privacy,
+    })
+
+    return responseReturn(res, 200, user.privacy)
+  } catch (err) {
+    error('Error al actualizar la privacidad', {
+      error: err.message,
+      stack: err.stack,
+    })
+
+    return responseReturn(res, 500, {
+      message: 'Error al actualizar la privacidad',
+      error: err.message,
+    })
+  }
+}
+
+/**
+ * Actualiza el perfil del usuario autenticado.
+ *
+ * @async
+ * @function updateProfile
+ * @param {import('express').Request} req - Objeto de solicitud de Express, admite displayName, username, bio y website en el body.
+ * @param {import('express').Response} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} No retorna ningún valor directamente, pero envía la respuesta HTTP con el perfil actualizado (ver `serializeUser`).
+ *
+ * @description
+ * Los campos no enviados conservan su valor; enviar `website` vacío lo elimina. Al cambiar el
+ * nombre de usuario, el anterior se guarda en `previousUsernames` y redirige al nuevo durante
+ * `USERNAME_REDIRECT_DAYS` días, en los que nadie más puede usarlo. Si el nombre ya está en uso
+ * (sin distinguir mayúsculas) se responde con 409.
+ */
+export const updateProfile = async (req, res) => {
+  debug('Iniciando actualización de perfil', {
+    body: req.body,
+    userId: req.userId,
+  })
+
+  try {
+    const { displayName, username, bio, website } = req.body
+
+    const user = await User.findById(req.userId)
+
+    if (!user) {
+      return responseReturn(res, 404, { message: 'Usuario no encontrado' })
+    }
+
+    if (username !== undefined && username !== user.username) {
+      if (await isUsernameTaken(username, user._id)) {
+        return sendConflict(res, 'username')
+      }
+
+      const redirectSince = getUsernameRedirectSince()
+      const isSameName = (name) =>
+        name.toLowerCase() === username.toLowerCase()
+
+      // Un cambio solo de mayúsculas no libera el nombre anterior, así que no se guarda
+      user.previousUsernames = [
+        ...user.previousUsernames.filter(
+          (previous) =>
+            previous.changedAt >= redirectSince &&
+            !isSameName(previous.username) &&
+            previous.username.toLowerCase() !== user.username.toLowerCase()
+        ),
+        ...(isSameName(user.username)
+          ? []
+          : [{ username: user.username, changedAt: new Date() }]),
+      ]
+      user.username = username
+    }
+
+    if (displayName !== undefined) user.displayName = displayName
+    if (bio !== undefined) user.bio = bio
+    if (website !== undefined) user.website = website || null
+
+    await user.save()
+
+    const userDetails = serializeUser(user, { isOwner: true })
+
+    info('Perfil actualizado con éxito', userDetails)
+
+    return responseReturn(res, 200, userDetails)
+  } catch (err) {
+    const field = getDuplicateKeyField(err)
+
+    if (field) return sendConflict(res, field)
+
+    error('Error al actualizar el perfil', {
+      error: err.message,
+      stack: err.stack,
+    })
+
+    return responseReturn(res, 500, {
+      message: 'Error al actualizar el perfil',
+      error: err.message,
+    })
+  }
+}
+
+/**
+ * Solicita el restablecimiento de la contraseña.
+ *
+ * Si existe un usuario con el correo indicado, se le envía un enlace con un token de un solo
+ * uso que caduca a los `PASSWORD_RESET_TTL` milisegundos; pedir otro anula el anterior. La
+ * respuesta es la misma exista o no el usuario, para no revelar qué correos están registrados.
+ *
+ * @async
+ * @function forgotPassword
+ * @param {import('express').Request} req - Objeto de solicitud de Express, debe contener email en el body.
+ * @param {import('express').Response} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} No retorna ningún valor directamente, pero envía la respuesta HTTP correspondiente.
+ */
+export const forgotPassword = async (req, res) => {
+  debug('Iniciando solicitud de restablecimiento de contraseña', {
+    email: req.body.email,
+  })
+
+  try {
+    const { email } = req.body
+
+    const user = await User.findOne({ email })
+
+    if (user) {
+      const token = await createToken(
+        user._id,
+        TOKEN_TYPES.passwordReset,
+        PASSWORD_RESET_TTL
+      )
+      const resetUrl = `${CLIENT_URL}/reset-password?token=${token}`
+      const minutes = Math.round(PASSWORD_RESET_TTL / 60000)
+
+      await sendMail({
+        to: user.email,
+        subject: 'Restablece tu contraseña',
+        text: `Hola ${user.displayName}:\n\nPara elegir una nueva contraseña, abre este enlace: ${resetUrl}\n\nEl enlace caduca en ${minutes} minutos y solo puede usarse una vez. Si no lo has solicitado, ignora este correo.`,
+      })
+
+      info('Correo de restablecimiento enviado', { userId: user._id })
+    } else {
+      info(`Restablecimiento solicitado para un correo no registrado: ${email}`)
+    }
+
+    return responseReturn(res, 200, {
+      message:
+        'Si el correo está registrado, recibirás un enlace para restablecer la contraseña',
+    })
+  } catch (err) {
+    error('Error al solicitar el restablecimiento de contraseña', {
+      error: err.message,
+      stack: err.stack,
+    })
+
+    return responseReturn(res, 500, {
+      message: 'Error al solicitar el restablecimiento de contraseña',
+      error: err.message,
+    })
+  }
+}
+
+/**
+ * Restablece la contraseña con un token recibido por correo.
+ *
+ * El token se consume al usarlo y se cierran todas las sesiones del usuario; después debe
+ * iniciar sesión con la nueva contraseña.
+ *
+ * @async
+ * @function resetPassword
+ * @param {import('express').Request} req - Objeto de solicitud de Express, debe contener token y password en el body.
+ * @param {import('express').Response} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} No retorna ningún valor directamente, pero envía la respuesta HTTP correspondiente.
+ */
+export const resetPassword = async (req, res) => {
+  debug('Iniciando restablecimiento de contraseña')
+
+  try {
+    const { token, password } = req.body
+
+    const resetToken = await consumeToken(token, TOKEN_TYPES.passwordReset)
+
+    if (!resetToken) {
+      return responseReturn(res, 400, {
+        message: 'El enlace no es válido o ha caducado',
+      })
+    }
+
+    const user = await User.findByIdAndUpdate(resetToken.user, {
+      hashedPassword: await bcrypt.hash(password, 10),
+      $inc: { tokenVersion: 1 },
+    })
+
+    if (!user) {
+      return responseReturn(res, 404, { message: 'Usuario no encontrado' })
+    }
+
+    await revokeTokens(user._id, TOKEN_TYPES.passwordReset)
+
+    res.clearCookie('token')
+
+    info('Contraseña restablecida con éxito', { userId: user._id })
+
+    return responseReturn(res, 200, {
+      message: 'Contraseña restablecida con éxito',
+    })
+  } catch (err) {
+    error('Error al restablecer la contraseña', {
+      error: err.message,
+      stack: err.stack,
+    })
+
+    return responseReturn(res, 500, {
+      message: 'Error al restablecer la contraseña',
+      error: err.message,
+    })
+  }
+}
+
+/**
+ * Cambia la contraseña del usuario autenticado.
+ *
+ * Exige la contraseña actual. Se cierran todas las demás sesiones del usuario y la actual
+ * recibe un token nuevo, por lo que sigue abierta.
+ *
+ * @async
+ * @function changePassword
+ * @param {import('express').Request} req - Objeto de solicitud de Express, debe contener currentPassword y newPassword en el body.
+ * @param {import('express').Response} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} No retorna ningún valor directamente, pero envía la respuesta HTTP correspondiente.
+ */
+export const changePassword = async (req, res) => {
+  debug('Iniciando cambio de contraseña', { userId: req.userId })
+
+  try {
+    const { currentPassword, newPassword } = req.body
+
+    const user = await User.findById(req.userId)
+
+    if (!user) {
+      return responseReturn(res, 404, { message: 'Usuario no encontrado' })
+    }
+
+    const isPasswordValid = await bcrypt.compare(
+      currentPassword,
+      user.hashedPassword
+    )
+
+    if (!isPasswordValid) {
+      return responseReturn(res, 400, {
+        message: 'La contraseña actual es incorrecta',
+      })
+    }
+
+    user.hashedPassword = await bcrypt.hash(newPassword, 10)
+    user.tokenVersion = (user.tokenVersion ?? 0) + 1
+
+    await user.save()
+    await revokeTokens(user._id, TOKEN_TYPES.passwordReset)
+
+    setSessionCookie(res, user)
+
+    info('Contraseña cambiada con éxito', { userId: user._id })
+
+    return responseReturn(res, 200, {
+      message: 'Contraseña cambiada con éxito',
+    })
+  } catch (err) {
+    error('Error al cambiar la contraseña', {
+      error: err.message,
+      stack: err.stack,
+    })
+
+    return responseReturn(res, 500, {
+      message: 'Error al cambiar la contraseña',
+      error: err.message,
+    })
+  }
+}
+
+/**
+ * Verifica el correo electrónico con el token recibido por correo.
+ *
+ * @async
+ * @function verifyEmail
+ * @param {import('express').Request} req - Objeto de solicitud de Express, debe contener token en el body.
+ * @param {import('express').Response} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} No retorna ningún valor directamente, pero envía la respuesta HTTP correspondiente.
+ */
+export const verifyEmail = async (req, res) => {
+  debug('Iniciando verificación de correo')
+
+  try {
+    const verificationToken = await consumeToken(
+      req.body.token,
+      TOKEN_TYPES.emailVerification
+    )
+
+    if (!verificationToken) {
+      return responseReturn(res, 400, {
+        message: 'El enlace no es válido o ha caducado',
+      })
+    }
+
+    const user = await User.findByIdAndUpdate(verificationToken.user, {
+      emailVerified: true,
+    })
+
+    if (!user) {
+      return responseReturn(res, 404, { message: 'Usuario no encontrado' })
+    }
+
+    await revokeTokens(user._id, TOKEN_TYPES.emailVerification)
+
+    info('Correo verificado con éxito', { userId: user._id })
+
+    return responseReturn(res, 200, {
+      message: 'Correo verificado con éxito',
+    })
+  } catch (err) {
+    error('Error al verificar el correo', {
+      error: err.message,
+      stack: err.stack,
+    })
+
+    return responseReturn(res, 500, {
+      message: 'Error al verificar el correo',
+      error: err.message,
+    })
+  }
+}
+
+/**
+ * Reenvía el correo de verificación al usuario autenticado.
+ *
+ * Genera un token nuevo y anula el anterior. Si el correo ya está verificado responde con 400.
+ *
+ * @async
+ * @function resendVerification
+ * @param {import('express').Request} req - Objeto de solicitud de Express.
+ * @param {import('express').Response} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} No retorna ningún valor directamente, pero envía la respuesta HTTP correspondiente.
+ */
+export const resendVerification = async (req, res) => {
+  debug('Iniciando reenvío del correo de verificación', { userId: req.userId })
+
+  try {
+    const user = await User.findById(req.userId)
+
+    if (!user) {
+      return responseReturn(res, 404, { message: 'Usuario no encontrado' })
+    }
+
+    if (isEmailVerified(user)) {
+      return responseReturn(res, 400, {
+        message: 'El correo ya está verificado',
+      })
+    }
+
+    await sendVerificationEmail(user)
+
+    info('Correo de verificación reenviado', { userId: user._id })
+
+    return responseReturn(res, 200, {
+      message: 'Correo de verificación enviado',
+    })
+  } catch (err) {
+    error('Error al reenviar el correo de verificación', {
+      error: err.message,
+      stack: err.stack,
+    })
+
+    return responseReturn(res, 500, {
+      message: 'Error al reenviar el correo de verificación',
+      error: err.message,
+    })
+  }
+}
+
+/**
+ * Sube el avatar del usuario autenticado.
+ *
+ * La imagen se recorta a un cuadrado y se guarda en varios tamaños (`AVATAR_SIZES`); solo se
+ * guardan sus claves y, al serializar, `img` pasa a ser la URL del tamaño mediano y `avatarUrls`
+ * incluye todos los tamaños. Los archivos del avatar anterior se eliminan del almacenamiento.
+ *
+ * @async
+ * @function updateAvatar
+ * @param {import('express').Request} req - Objeto de solicitud de Express, debe contener el archivo `avatar`.
+ * @param {import('express').Response} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} No retorna ningún valor directamente, pero envía la respuesta HTTP con el perfil actualizado (ver `serializeUser`).
+ */
+export const updateAvatar = async (req, res) => {
+  debug('Iniciando actualización de avatar', { userId: req.userId })
+
+  try {
+    const file = req.files?.avatar
+
+    if (!file) {
+      return responseReturn(res, 400, { message: 'La imagen es requerida' })
+    }
+
+    const user = await User.findById(req.userId)
+
+    if (!user) {
+      return responseReturn(res, 404, { message: 'Usuario no encontrado' })
+    }
+
+    const images = await renderAvatarImages(file.data)
+
+    const uploaded = await Promise.all(
+      Object.entries(images).map(async ([size, data]) => {
+        const { key } = await storage.upload(
+          data,
+          createMediaKey('avatars', `${size}.webp`)
+        )
+
+        return [size, key]
+      })
+    )
+
+    const previousKeys = Object.keys(images)
+      .map((size) => user.avatar?.[size])
+      .filter(Boolean)
+
+    user.avatar = Object.fromEntries(uploaded)
+
+    await user.save()
+
+    const results = await Promise.allSettled(
+      previousKeys.map((key) => storage.remove(key))
+    )
+
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        warn('No se pudo eliminar el avatar anterior', {
+          key: previousKeys[index],
+          error: result.reason?.message,
+        })
+      }
+    })
+
+    const userDetails = serializeUser(user, { isOwner: true })
+
+    info('Avatar actualizado con éxito', { userId: user._id })
+
+    return responseReturn(res, 200, userDetails)
+  } catch (err) {
+    error('Error al actualizar el avatar', {
+      error: err.message,
+      stack: err.stack,
+    })
+
+    return responseReturn(res, 500, {
+      message: 'Error al actualizar el avatar',
+      error: err.message,
+    })
+  }
+}
+
 export const logoutUser = async (_, res) => {
   debug('Iniciando cierre de sesión de usuario')
 
@@ -310,3 +1019,369 @@ export const logoutUser = async (_, res) => {
     })
   }
 }
+
+/**
+ * Obtiene los tableros en los que un usuario ha guardado pines y que otro usuario no puede ver.
+ *
+ * @private
+ * @async
+ * @param {import('mongoose').Types.ObjectId} userId - Usuario que guardó los pines.
+ * @param {string} [viewerId] - Usuario autenticado, o vacío si es anónimo.
+ * @returns {Promise<import('mongoose').Types.ObjectId[]>} IDs de los tableros ocultos.
+ */
+const getHiddenSavedBoardIds = async (userId, viewerId) => {
+  const savedBoardIds = await Save.distinct('boards.board', { user: userId })
+
+  if (!savedBoardIds.length) return []
+
+  return Board.find({
+    _id: { $in: savedBoardIds },
+    $nor: [buildBoardVisibilityFilter(viewerId)],
+  }).distinct('_id')
+}
+
+/**
+ * Obtiene una página de los pines con los que un usuario ha interactuado (likes o guardados),
+ * en el orden de la interacción y omitiendo los pines que el usuario autenticado no puede ver.
+ *
+ * @private
+ * @async
+ * @param {import('express').Request} req - Objeto de solicitud de Express.
+ * @param {import('express').Response} res - Objeto de respuesta de Express.
+ * @param {Object} options - Opciones del listado.
+ * @param {import('mongoose').Model} options.InteractionModel - Modelo de la interacción (Like o Save).
+ * @param {string} options.privacyField - Ajuste de privacidad que oculta el listado.
+ * @param {string} options.dateField - Campo del pin donde se devuelve la fecha de la interacción.
+ * @param {string} options.label - Nombre del listado para los mensajes.
+ * @param {boolean} [options.hideSecretBoardSaves=false] - Omite, para quien no es el usuario, los guardados cuyos tableros son todos secretos y no visibles.
+ * @returns {Promise<void>}
+ */
+const getUserInteractionPins = async (
+  req,
+  res,
+  {
+    InteractionModel,
+    privacyField,
+    dateField,
+    label,
+    hideSecretBoardSaves = false,
+  }
+) => {
+  debug(`Iniciando obtención de ${label} del usuario`, {
+    params: req.params,
+    query: req.query,
+  })
+
+  try {
+    const { username } = req.params
+    const { cursor, limit } = req.query
+
+    const pageSize = getPageSize(limit)
+    const after = cursor ? decodeCursor(cursor, NEWEST_FIRST) : null
+
+    if (cursor && !after) {
+      return responseReturn(res, 400, { message: 'Cursor no válido' })
+    }
+
+    const user = await User.findOne({ username }).collation(USERNAME_COLLATION)
+
+    if (!user) {
+      return responseReturn(res, 404, {
+        message: `No se encontró un usuario con el nombre de usuario: ${username}`,
+      })
+    }
+
+    const isOwner = user._id.equals(req.userId)
+
+    if (user.privacy?.[privacyField] && !isOwner) {
+      return responseReturn(res, 403, {
+        message: `El usuario ha ocultado sus ${label}`,
+      })
+    }
+
+    const visibilityFilter = await buildPinVisibilityFilter(req.userId)
+    const hiddenBoardIds =
+      hideSecretBoardSaves && !isOwner
+        ? await getHiddenSavedBoardIds(user._id, req.userId)
+        : []
+
+    const results = await InteractionModel.aggregate([
+      {
+        $match: {
+          user: user._id,
+          ...(after && buildKeysetFilter(NEWEST_FIRST, after)),
+          ...(hiddenBoardIds.length && {
+            $or: [
+              { 'boards.0': { $exists: false } },
+              { boards: { $elemMatch: { board: { $nin: hiddenBoardIds } } } },
+            ],
+          }),
+        },
+      },
+      { $sort: toSortObject(NEWEST_FIRST) },
+      {
+        $lookup: {
+          from: Pin.collection.name,
+          localField: 'pin',
+          foreignField: '_id',
+          pipeline: [{ $match: visibilityFilter }],
+          as: 'pin',
+        },
+      },
+      { $unwind: '$pin' },
+      { $limit: pageSize + 1 },
+      { $project: { createdAt: 1, pin: 1 } },
+    ])
+
+    const { items, nextCursor } = toPage(results, NEWEST_FIRST, pageSize)
+
+    const pins = items.map(({ pin, createdAt }) =>
+      withMediaUrl({ ...pin, [dateField]: createdAt })
+    )
+
+    info(`${label} del usuario obtenidos con éxito`, {
+      userId: user._id,
+      count: pins.length,
+    })
+
+    return responseReturn(res, 200, { pins, nextCursor })
+  } catch (err) {
+    error(`Error al obtener los ${label} del usuario`, {
+      error: err.message,
+      stack: err.stack,
+    })
+
+    return responseReturn(res, 500, {
+      message: `Error al obtener los ${label} del usuario`,
+      error: err.message,
+    })
+  }
+}
+
+/**
+ * Obtiene una página de seguidores o seguidos de un usuario con la relación de cada uno con
+ * el usuario autenticado, calculada con dos consultas para toda la página.
+ *
+ * @private
+ * @async
+ * @param {import('express').Request} req - Objeto de solicitud de Express.
+ * @param {import('express').Response} res - Objeto de respuesta de Express.
+ * @param {Object} options - Opciones del listado.
+ * @param {'follower'|'following'} options.ownerField - Campo de `Follow` que referencia al usuario consultado.
+ * @param {'follower'|'following'} options.listedField - Campo de `Follow` que referencia a los usuarios listados.
+ * @param {string} options.label - Nombre del listado para los mensajes.
+ * @returns {Promise<void>}
+ */
+const getFollowList = async (req, res, { ownerField, listedField, label }) => {
+  debug(`Iniciando obtención de ${label} del usuario`, {
+    params: req.params,
+    query: req.query,
+  })
+
+  try {
+    const { username } = req.params
+    const { cursor, limit } = req.query
+
+    const pageSize = getPageSize(limit)
+    const after = cursor ? decodeCursor(cursor, NEWEST_FIRST) : null
+
+    if (cursor && !after) {
+      return responseReturn(res, 400, { message: 'Cursor no válido' })
+    }
+
+    const user = await User.findOne({ username }).collation(USERNAME_COLLATION)
+
+    if (!user) {
+      return responseReturn(res, 404, {
+        message: `No se encontró un usuario con el nombre de usuario: ${username}`,
+      })
+    }
+
+    const results = await Follow.aggregate([
+      {
+        $match: {
+          [ownerField]: user._id,
+          ...(after && buildKeysetFilter(NEWEST_FIRST, after)),
+        },
+      },
+      { $sort: toSortObject(NEWEST_FIRST) },
+      {
+        $lookup: {
+          from: User.collection.name,
+          localField: listedField,
+          foreignField: '_id',
+          pipeline: [
+            { $project: { username: 1, displayName: 1, img: 1, avatar: 1 } },
+          ],
+          as: 'user',
+        },
+      },
+      { $unwind: '$user' },
+      { $limit: pageSize + 1 },
+    ])
+
+    const { items, nextCursor } = toPage(results, NEWEST_FIRST, pageSize)
+
+    const userIds = items.map((item) => item.user._id)
+
+    const [followedByViewer, followingViewer] = req.userId
+      ? await Promise.all([
+          Follow.distinct('following', {
+            follower: req.userId,
+            following: { $in: userIds },
+          }),
+          Follow.distinct('follower', {
+            following: req.userId,
+            follower: { $in: userIds },
+          }),
+        ])
+      : [[], []]
+
+    const followedIds = new Set(followedByViewer.map(String))
+    const followerIds = new Set(followingViewer.map(String))
+
+    const users = items.map((item) => ({
+      ...serializeUser(item.user),
+      followedAt: item.createdAt,
+      isFollowing: followedIds.has(String(item.user._id)),
+      followsYou: followerIds.has(String(item.user._id)),
+    }))
+
+    info(`${label} del usuario obtenidos con éxito`, {
+      userId: user._id,
+      count: users.length,
+    })
+
+    return responseReturn(res, 200, { users, nextCursor })
+  } catch (err) {
+    error(`Error al obtener los ${label} del usuario`, {
+      error: err.message,
+      stack: err.stack,
+    })
+
+    return responseReturn(res, 500, {
+      message: `Error al obtener los ${label} del usuario`,
+      error: err.message,
+    })
+  }
+}
+
+/**
+ * Devuelve la fecha a partir de la cual un nombre de usuario anterior sigue redirigiendo.
+ *
+ * @private
+ * @returns {Date} Fecha límite de la redirección.
+ */
+const getUsernameRedirectSince = () =>
+  new Date(Date.now() - USERNAME_REDIRECT_DAYS * 24 * 60 * 60 * 1000)
+
+/**
+ * Construye el filtro de usuarios que han usado el nombre indicado y aún redirigen desde él.
+ *
+ * @private
+ * @param {string} username - Nombre de usuario anterior.
+ * @returns {Object} Filtro de MongoDB sobre la colección de usuarios.
+ */
+const buildPreviousUsernameFilter = (username) => ({
+  previousUsernames: {
+    $elemMatch: { username, changedAt: { $gte: getUsernameRedirectSince() } },
+  },
+})
+
+/**
+ * Comprueba si un nombre de usuario lo usa otro usuario, actualmente o como nombre anterior
+ * que aún redirige, sin distinguir mayúsculas de minúsculas.
+ *
+ * @private
+ * @param {string} username - Nombre de usuario a comprobar.
+ * @param {import('mongoose').Types.ObjectId} [excludeUserId] - Usuario que no cuenta como conflicto.
+ * @returns {Promise<boolean>} `true` si el nombre no está disponible.
+ */
+const isUsernameTaken = async (username, excludeUserId) => {
+  const existing = await User.exists({
+    ...(excludeUserId && { _id: { $ne: excludeUserId } }),
+    $or: [{ username }, buildPreviousUsernameFilter(username)],
+  }).collation(USERNAME_COLLATION)
+
+  return Boolean(existing)
+}
+
+/**
+ * Mensajes de conflicto por campo único del usuario.
+ *
+ * @private
+ * @constant
+ * @type {Object<string, string>}
+ */
+const CONFLICT_MESSAGES = {
+  username: 'El nombre de usuario ya está en uso',
+  email: 'El correo electrónico ya está registrado',
+}
+
+/**
+ * Responde con 409 indicando qué campo único está en conflicto.
+ *
+ * @private
+ * @param {import('express').Response} res - Objeto de respuesta de Express.
+ * @param {'username'|'email'} field - Campo en conflicto.
+ * @returns {void}
+ */
+const sendConflict = (res, field) =>
+  responseReturn(res, 409, { message: CONFLICT_MESSAGES[field], field })
+
+/**
+ * Obtiene el campo que provocó un error de clave duplicada de MongoDB, si lo es.
+ *
+ * Cubre las carreras entre la comprobación previa y la escritura.
+ *
+ * @private
+ * @param {Error} err - Error capturado.
+ * @returns {string|null} `username`, `email` o `null` si no es un error de duplicado conocido.
+ */
+const getDuplicateKeyField = (err) => {
+  if (err.code !== 11000) return null
+
+  const field = Object.keys(err.keyPattern || {})[0]
+
+  return field in CONFLICT_MESSAGES ? field : null
+}
+
+/**
+ * Inicia la sesión del usuario guardando su JWT en una cookie HTTP-only durante 30 días.
+ *
+ * @private
+ * @param {import('express').Response} res - Objeto de respuesta de Express.
+ * @param {import('mongoose').Document} user - Usuario de la sesión.
+ * @returns {void}
+ */
+const setSessionCookie = (res, user) => {
+  res.cookie('token', signSessionToken(user), {
+    httpOnly: true,
+    secure: NODE_ENV === 'prod',
+    maxAge: 30 * 24 * 60 * 60 * 1000,
+  })
+}
+
+/**
+ * Crea un token de verificación y envía al usuario el enlace para verificar su correo.
+ *
+ * @private
+ * @async
+ * @param {import('mongoose').Document} user - Usuario a verificar.
+ * @returns {Promise<void>}
+ */
+const sendVerificationEmail = async (user) => {
+  const token = await createToken(
+    user._id,
+    TOKEN_TYPES.emailVerification,
+    EMAIL_VERIFICATION_TTL
+  )
+  const verifyUrl = `${CLIENT_URL}/verify-email?token=${token}`
+  const hours = Math.round(EMAIL_VERIFICATION_TTL / 3600000)
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verifica tu correo electrónico',
+    text: `Hola ${user.displayName}:\n\nPara verificar tu correo, abre este enlace: ${verifyUrl}\n\nEl enlace caduca en ${hours} horas.`,
+  })
+}
@@ -3,11 +3,19 @@ import cors from 'cors'
 import express from 'express'
 import fileUpload from 'express-fileupload'
 import morgan from 'morgan'
-import { CLIENT_ANGULAR_URL, CLIENT_URL, PORT } from './constants/config.js'
+import {
+  CLIENT_ANGULAR_URL,
+  CLIENT_URL,
+  LOCAL_STORAGE_URL_PATH,
+  PORT,
+  STORAGE_PROVIDER,
+} from './constants/config.js'
 import { boardRouter } from './routes/board.route.js'
 import { commentRouter } from './routes/comment.route.js'
 import { pinRouter } from './routes/pin.route.js'
+import { tagRouter } from './routes/tag.route.js'
 import { userRouter } from './routes/user.route.js'
+import { localStorageDir } from './storage/local.storage.js'
 import { dbConnect } from './utils/db.js'
 
 const app = express()
@@ -19,10 +27,15 @@ app.use(cors({ origin: [CLIENT_URL, CLIENT_ANGULAR_URL], credentials: true }))
 app.use(cookieParser())
 app.use(fileUpload())
 
+if (STORAGE_PROVIDER === 'local') {
+  app.use(LOCAL_STORAGE_URL_PATH, express.static(localStorageDir))
+}
+
 app.use('/users', userRouter)
 app.use('/pins', pinRouter)
 app.use('/boards', boardRouter)
 app.use('/comments', commentRouter)
+app.use('/tags', tagRouter)
 
 dbConnect().then(() => {
   app.listen(PORT, () => {
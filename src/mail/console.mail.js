@@ -0,0 +1,25 @@
+import { NODE_ENV } from '../constants/config.js'
+import { info } from '../utils/logger.js'
+
+/**
+ * Transporte de correo que escribe cada mensaje en el registro de la aplicación.
+ *
+ * El cuerpo, que puede contener enlaces con tokens de un solo uso, solo se registra con
+ * `NODE_ENV=dev`; en otros entornos se registran el destinatario y el asunto.
+ *
+ * @module consoleMail
+ */
+
+/**
+ * @type {import('./mail.js').MailTransport}
+ */
+export const consoleTransport = {
+  send: async (message) => {
+    const { from, to, subject } = message
+
+    info(
+      'Correo enviado (consola)',
+      NODE_ENV === 'dev' ? message : { from, to, subject }
+    )
+  },
+}
@@ -0,0 +1,30 @@
+import { randomUUID } from 'node:crypto'
+import { mkdir, writeFile } from 'node:fs/promises'
+import { join, resolve } from 'node:path'
+import { MAIL_FILE_DIR } from '../constants/config.js'
+import { info } from '../utils/logger.js'
+
+/**
+ * Transporte de correo que guarda cada mensaje como archivo `.eml` en `MAIL_FILE_DIR`.
+ *
+ * @module fileMail
+ */
+
+const rootDir = resolve(MAIL_FILE_DIR)
+
+/**
+ * @type {import('./mail.js').MailTransport}
+ */
+export const fileTransport = {
+  send: async ({ from, to, subject, text }) => {
+    const filePath = join(rootDir, `${Date.now()}-${randomUUID()}.eml`)
+
+    await mkdir(rootDir, { recursive: true })
+    await writeFile(
+      filePath,
+      `From: ${from}\nTo: ${to}\nSubject: ${subject}\n\n${text}\n`
+    )
+
+    info('Correo guardado en archivo', { to, subject, filePath })
+  },
+}
@@ -0,0 +1,64 @@
+import { MAIL_FROM, MAIL_TRANSPORT } from '../constants/config.js'
+import { consoleTransport } from './console.mail.js'
+import { fileTransport } from './file.mail.js'
+import { smtpTransport } from './smtp.mail.js'
+
+/**
+ * Abstracción del envío de correos electrónicos.
+ *
+ * El transporte se elige con `MAIL_TRANSPORT` en `constants/config.js`; por defecto es `smtp`
+ * si hay `SMTP_HOST` y `console` en otro caso. Los transportes `console` y `file` son solo
+ * para desarrollo local: el primero escribe el correo en el registro y el segundo lo guarda
+ * como archivo en `MAIL_FILE_DIR`. Como los correos llevan tokens de un solo uso,
+ * `constants/config.js` rechaza esos transportes en producción.
+ *
+ * @module mail
+ */
+
+/**
+ * Correo electrónico listo para enviar.
+ *
+ * @typedef {Object} MailMessage
+ * @property {string} from - Remitente.
+ * @property {string} to - Destinatario.
+ * @property {string} subject - Asunto.
+ * @property {string} text - Cuerpo en texto plano.
+ */
+
+/**
+ * Contrato que debe cumplir cada transporte de correo.
+ *
+ * @typedef {Object} MailTransport
+ * @property {(message: MailMessage) => Promise<void>} send - Envía el correo.
+ */
+
+/**
+ * Transportes disponibles indexados por nombre.
+ *
+ * @type {Object<string, MailTransport>}
+ */
+const transports = {
+  smtp: smtpTransport,
+  console: consoleTransport,
+  file: fileTransport,
+}
+
+if (!transports[MAIL_TRANSPORT]) {
+  throw new Error(`Transporte de correo desconocido: ${MAIL_TRANSPORT}`)
+}
+
+/**
+ * Transporte de correo configurado.
+ *
+ * @type {MailTransport}
+ */
+export const mailTransport = transports[MAIL_TRANSPORT]
+
+/**
+ * Envía un correo desde `MAIL_FROM` con el transporte configurado.
+ *
+ * @param {Omit<MailMessage, 'from'>} message - Destinatario, asunto y cuerpo del correo.
+ * @returns {Promise<void>}
+ */
+export const sendMail = (message) =>
+  mailTransport.send({ from: MAIL_FROM, ...message })
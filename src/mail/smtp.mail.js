@@ -0,0 +1,48 @@
+import nodemailer from 'nodemailer'
+import {
+  SMTP_HOST,
+  SMTP_PASS,
+  SMTP_PORT,
+  SMTP_SECURE,
+  SMTP_USER,
+} from '../constants/config.js'
+
+/**
+ * Transporte de correo que envía los mensajes a través de un servidor SMTP.
+ *
+ * Se configura con `SMTP_HOST`, `SMTP_PORT`, `SMTP_SECURE` (TLS desde el inicio, normalmente
+ * con el puerto 465), `SMTP_USER` y `SMTP_PASS`.
+ *
+ * @module smtpMail
+ */
+
+let transporter
+
+/**
+ * Devuelve el cliente SMTP, creándolo en el primer uso para que el servidor pueda arrancar
+ * sin credenciales cuando se usa otro transporte.
+ *
+ * @private
+ * @returns {import('nodemailer').Transporter} Cliente SMTP.
+ */
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: SMTP_HOST,
+      port: SMTP_PORT,
+      secure: SMTP_SECURE,
+      auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASS } : undefined,
+    })
+  }
+
+  return transporter
+}
+
+/**
+ * @type {import('./mail.js').MailTransport}
+ */
+export const smtpTransport = {
+  send: async ({ from, to, subject, text }) => {
+    await getTransporter().sendMail({ from, to, subject, text })
+  },
+}
@@ -0,0 +1,263 @@
+import { body, param, query } from 'express-validator'
+import { paginationQueryRules } from './pagination.validator.js'
+import { handleValidationErrors } from './validation.js'
+
+/**
+ * Middleware de validación para solicitudes de creación de tableros.
+ *
+ * Verifica que el título sea una cadena no vacía, que la descripción, si se envía,
+ * sea una cadena y que la visibilidad sea `public` o `secret`.
+ *
+ * @constant
+ * @type {Array<import('express').RequestHandler>}
+ */
+export const validateBoardRequest = [
+  body('title')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('El título del tablero es requerido'),
+  body('description')
+    .optional()
+    .isString()
+    .withMessage('La descripción debe ser una cadena'),
+  body('visibility')
+    .optional()
+    .isIn(['public', 'secret'])
+    .withMessage('La visibilidad debe ser public o secret'),
+  handleValidationErrors,
+]
+
+/**
+ * Middleware de validación para solicitudes de actualización de tableros.
+ *
+ * Todos los campos son opcionales, pero el título no puede quedar vacío.
+ *
+ * @constant
+ * @type {Array<import('express').RequestHandler>}
+ */
+export const validateBoardUpdateRequest = [
+  param('id').isMongoId().withMessage('El ID del tablero no es válido'),
+  body('title')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('El título del tablero no puede estar vacío'),
+  body('description')
+    .optional()
+    .isString()
+    .withMessage('La descripción debe ser una cadena'),
+  body('visibility')
+    .optional()
+    .isIn(['public', 'secret'])
+    .withMessage('La visibilidad debe ser public o secret'),
+  handleValidationErrors,
+]
+
+/**
+ * Middleware de validación para la eliminación de tableros.
+ *
+ * El parámetro `pins` indica qué hacer con los pines del tablero: `delete` los elimina
+ * y `unassign` (por defecto) los deja sin tablero.
+ *
+ * @constant
+ * @type {Array<import('express').RequestHandler>}
+ */
+export const validateDeleteBoardRequest = [
+  param('id').isMongoId().withMessage('El ID del tablero no es válido'),
+  query('pins')
+    .optional()
+    .isIn(['delete', 'unassign'])
+    .withMessage('El parámetro pins debe ser delete o unassign'),
+  handleValidationErrors,
+]
+
+/**
+ * Middleware de validación para establecer la portada de un tablero.
+ *
+ * El pin puede ser nulo para quitar la portada.
+ *
+ * @constant
+ * @type {Array<import('express').RequestHandler>}
+ */
+export const validateBoardCoverRequest = [
+  param('id').isMongoId().withMessage('El ID del tablero no es válido'),
+  body('pin')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('El ID del pin no es válido'),
+  handleValidationErrors,
+]
+
+/**
+ * Middleware de validación para mover pines a un tablero.
+ *
+ * @constant
+ * @type {Array<import('express').RequestHandler>}
+ */
+export const validateMovePinsRequest = [
+  param('id').isMongoId().withMessage('El ID del tablero no es válido'),
+  body('pins')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('Debes indicar entre 1 y 100 pines'),
+  body('pins.*').isMongoId().withMessage('El ID del pin no es válido'),
+  handleValidationErrors,
+]
+
+/**
+ * Middleware de validación para parámetros de ID de tablero.
+ *
+ * @constant
+ * @type {Array<import('express').RequestHandler>}
+ */
+export const validateBoardIdParam = [
+  param('id').isMongoId().withMessage('El ID del tablero no es válido'),
+  handleValidationErrors,
+]
+
+/**
+ * Middleware de validación para invitar colaboradores a un tablero.
+ *
+ * Verifica que se indique el nombre de usuario del invitado y que el rol sea
+ * `editor` o `viewer`.
+ *
+ * @constant
+ * @type {Array<import('express').RequestHandler>}
+ */
+export const validateInviteCollaboratorRequest = [
+  param('id').isMongoId().withMessage('El ID del tablero no es válido'),
+  body('username')
+    .isString()
+    .notEmpty()
+    .withMessage('El nombre de usuario es requerido'),
+  body('role')
+    .isIn(['editor', 'viewer'])
+    .withMessage('El rol debe ser editor o viewer'),
+  handleValidationErrors,
+]
+
+/**
+ * Middleware de validación para cambiar el rol de un colaborador.
+ *
+ * @constant
+ * @type {Array<import('express').RequestHandler>}
+ */
+export const validateCollaboratorRoleRequest = [
+  param('id').isMongoId().withMessage('El ID del tablero no es válido'),
+  param('userId').isMongoId().withMessage('El ID del colaborador no es válido'),
+  body('role')
+    .isIn(['editor', 'viewer'])
+    .withMessage('El rol debe ser editor o viewer'),
+  handleValidationErrors,
+]
+
+/**
+ * Middleware de validación para parámetros de tablero y colaborador.
+ *
+ * @constant
+ * @type {Array<import('express').RequestHandler>}
+ */
+export const validateCollaboratorParams = [
+  param('id').isMongoId().withMessage('El ID del tablero no es válido'),
+  param('userId').isMongoId().withMessage('El ID del colaborador no es válido'),
+  handleValidationErrors,
+]
+
+/**
+ * Middleware de validación para parámetros de tablero y pin.
+ *
+ * @constant
+ * @type {Array<import('express').RequestHandler>}
+ */
+export const validateBoardPinParams = [
+  param('id').isMongoId().withMessage('El ID del tablero no es válido'),
+  param('pinId').isMongoId().withMessage('El ID del pin no es válido'),
+  handleValidationErrors,
+]
+
+/**
+ * Middleware de validación para crear secciones en un tablero.
+ *
+ * @constant
+ * @type {Array<import('express').RequestHandler>}
+ */
+export const validateSectionRequest = [
+  param('id').isMongoId().withMessage('El ID del tablero no es válido'),
+  body('title')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('El título de la sección es requerido'),
+  handleValidationErrors,
+]
+
+/**
+ * Middleware de validación para renombrar secciones de un tablero.
+ *
+ * @constant
+ * @type {Array<import('express').RequestHandler>}
+ */
+export const validateSectionUpdateRequest = [
+  param('id').isMongoId().withMessage('El ID del tablero no es válido'),
+  param('sectionId').isMongoId().withMessage('El ID de la sección no es válido'),
+  body('title')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('El título de la sección es requerido'),
+  handleValidationErrors,
+]
+
+/**
+ * Middleware de validación para parámetros de tablero y sección.
+ *
+ * @constant
+ * @type {Array<import('express').RequestHandler>}
+ */
+export const validateSectionParams = [
+  param('id').isMongoId().withMessage('El ID del tablero no es válido'),
+  param('sectionId').isMongoId().withMessage('El ID de la sección no es válido'),
+  handleValidationErrors,
+]
+
+/**
+ * Middleware de validación para cambiar la posición de un pin en un tablero.
+ *
+ * `before` es el pin delante del cual se coloca (nulo para moverlo al final) y
+ * `section` la sección de destino (nula para dejarlo sin sección).
+ *
+ * @constant
+ * @type {Array<import('express').RequestHandler>}
+ */
+export const validateMoveBoardPinRequest = [
+  param('id').isMongoId().withMessage('El ID del tablero no es válido'),
+  param('pinId').isMongoId().withMessage('El ID del pin no es válido'),
+  body('before')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('El ID del pin de referencia no es válido'),
+  body('section')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('El ID de la sección no es válido'),
+  handleValidationErrors,
+]
+
+/**
+ * Middleware de validación para el listado de tableros de un usuario.
+ *
+ * Verifica el ID del usuario, el modo de ordenación y los parámetros de paginación.
+ *
+ * @constant
+ * @type {Array<import('express').RequestHandler>}
+ */
+export const validateGetBoardsQuery = [
+  param('userId').isMongoId().withMessage('El ID del usuario no es válido'),
+  query('sort')
+    .optional()
+    .isIn(['created', 'alphabetical', 'lastSaved'])
+    .withMessage('El orden debe ser created, alphabetical o lastSaved'),
+  ...paginationQueryRules,
+  handleValidationErrors,
+]
@@ -0,0 +1,72 @@
+import { body, param, query } from 'express-validator'
+import { paginationQueryRules } from './pagination.validator.js'
+import { handleValidationErrors } from './validation.js'
+
+/**
+ * Middleware de validación para solicitudes de creación de comentarios.
+ *
+ * Verifica que la descripción sea una cadena no vacía, que el pin sea un ID válido
+ * y, si se responde a otro comentario, que `parent` también lo sea.
+ *
+ * @constant
+ * @type {Array<import('express').RequestHandler>}
+ */
+export const validateCommentRequest = [
+  body('description')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('El comentario es requerido'),
+  body('pin').isMongoId().withMessage('El ID del pin no es válido'),
+  body('parent')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('El ID del comentario padre no es válido'),
+  handleValidationErrors,
+]
+
+/**
+ * Middleware de validación para solicitudes de edición de comentarios.
+ *
+ * @constant
+ * @type {Array<import('express').RequestHandler>}
+ */
+export const validateCommentUpdateRequest = [
+  param('id').isMongoId().withMessage('El ID del comentario no es válido'),
+  body('description')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('El comentario es requerido'),
+  handleValidationErrors,
+]
+
+/**
+ * Middleware de validación para parámetros de ID de comentario.
+ *
+ * @constant
+ * @type {Array<import('express').RequestHandler>}
+ */
+export const validateCommentIdParam = [
+  param('id').isMongoId().withMessage('El ID del comentario no es válido'),
+  handleValidationErrors,
+]
+
+/**
+ * Middleware de validación para el listado de comentarios de un pin.
+ *
+ * Admite `parent` para listar las respuestas de un comentario además de los
+ * parámetros de paginación.
+ *
+ * @constant
+ * @type {Array<import('express').RequestHandler>}
+ */
+export const validateGetCommentsQuery = [
+  param('postId').isMongoId().withMessage('El ID del pin no es válido'),
+  query('parent')
+    .optional()
+    .isMongoId()
+    .withMessage('El ID del comentario padre no es válido'),
+  ...paginationQueryRules,
+  handleValidationErrors,
+]
@@ -0,0 +1,33 @@
+import { query } from 'express-validator'
+import { handleValidationErrors } from './validation.js'
+
+/**
+ * Reglas de validación de los parámetros de paginación por cursor.
+ *
+ * Se exportan sin el manejador de errores para poder combinarlas con las reglas
+ * propias de cada listado.
+ *
+ * @constant
+ * @type {Array<import('express').RequestHandler>}
+ */
+export const paginationQueryRules = [
+  query('cursor')
+    .optional()
+    .isBase64({ urlSafe: true })
+    .withMessage('El cursor no es válido'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('El límite debe ser un entero positivo'),
+]
+
+/**
+ * Middleware de validación para listados paginados por cursor.
+ *
+ * @constant
+ * @type {Array<import('express').RequestHandler>}
+ */
+export const validatePaginationQuery = [
+  ...paginationQueryRules,
+  handleValidationErrors,
+]
@@ -1,4 +1,5 @@
-import { body, param } from 'express-validator'
+import { body, param, query } from 'express-validator'
+import { paginationQueryRules } from './pagination.validator.js'
 import { handleValidationErrors } from './validation.js'
 
 /**
@@ -31,7 +32,8 @@ export const validatePinRequest = [
 /**
  * Middleware de validación para parámetros de ID de pin.
  *
- * Este array contiene un middleware que valida que el parámetro ID sea una cadena no vacía.
+ * Este array contiene un middleware que valida que el parámetro ID sea un ObjectId válido,
+ * de modo que un ID mal formado responde con 400 en lugar de fallar en la consulta.
  * Si la validación falla, se manejan los errores de validación correspondientes.
  *
  * @constant
@@ -41,6 +43,186 @@ export const validatePinIdParam = [
   param('id')
     .isString()
     .notEmpty()
-    .withMessage('El ID del pin es requerido'),
+    .withMessage('El ID del pin es requerido')
+    .isMongoId()
+    .withMessage('El ID del pin no es válido'),
+  handleValidationErrors,
+]
+
+/**
+ * Middleware de validación para solicitudes de actualización de pines.
+ *
+ * Todos los campos son opcionales, pero si se envían el título y la descripción no
+ * pueden estar vacíos, el enlace debe ser una cadena y el tablero un ID válido
+ * (o vacío/nulo para desasignarlo).
+ *
+ * @constant
+ * @type {Array<import('express').RequestHandler>}
+ */
+export const validatePinUpdateRequest = [
+  body('title')
+    .optional()
+    .isString()
+    .notEmpty()
+    .withMessage('El título no puede estar vacío'),
+  body('description')
+    .optional()
+    .isString()
+    .notEmpty()
+    .withMessage('La descripción no puede estar vacía'),
+  body('link')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('El enlace debe ser una cadena'),
+  body('tags')
+    .optional()
+    .custom((tags) => typeof tags === 'string' || Array.isArray(tags))
+    .withMessage('Las etiquetas deben ser una cadena o un arreglo'),
+  body('board')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('El ID del tablero no es válido'),
+  handleValidationErrors,
+]
+
+/**
+ * Middleware de validación para los parámetros de consulta del listado de pines.
+ *
+ * Verifica que la búsqueda sea una cadena de longitud razonable, que los filtros de
+ * usuario y tablero sean IDs válidos, que el orden sea uno de los modos admitidos y
+ * que los parámetros de paginación sean correctos.
+ *
+ * @constant
+ * @type {Array<import('express').RequestHandler>}
+ */
+export const validateGetPinsQuery = [
+  query('search')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('La búsqueda debe tener como máximo 100 caracteres'),
+  query('userId')
+    .optional()
+    .isMongoId()
+    .withMessage('El ID del usuario no es válido'),
+  query('boardId')
+    .optional()
+    .isMongoId()
+    .withMessage('El ID del tablero no es válido'),
+  query('sectionId')
+    .optional()
+    .isMongoId()
+    .withMessage('El ID de la sección no es válido'),
+  query('sort')
+    .optional()
+    .isIn(['relevance', 'newest', 'likes', 'saves', 'position'])
+    .withMessage('El orden debe ser relevance, newest, likes, saves o position'),
+  query('withViewerState')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('withViewerState debe ser true o false'),
+  ...paginationQueryRules,
+  handleValidationErrors,
+]
+
+/**
+ * Middleware de validación para guardar un pin.
+ *
+ * El tablero de destino debe ser un ID válido y el título de un tablero nuevo, si se
+ * envía, no puede estar vacío.
+ *
+ * @constant
+ * @type {Array<import('express').RequestHandler>}
+ */
+export const validateSaveRequest = [
+  param('id').isMongoId().withMessage('El ID del pin no es válido'),
+  body('board')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('El ID del tablero no es válido'),
+  body('newBoard')
+    .optional({ values: 'falsy' })
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('El título del tablero nuevo no puede estar vacío'),
+  handleValidationErrors,
+]
+
+/**
+ * Middleware de validación para el listado de pines relacionados.
+ *
+ * @constant
+ * @type {Array<import('express').RequestHandler>}
+ */
+export const validateRelatedPinsQuery = [
+  param('id').isMongoId().withMessage('El ID del pin no es válido'),
+  ...paginationQueryRules,
+  handleValidationErrors,
+]
+
+/**
+ * Middleware de validación para el listado de pines en tendencia.
+ *
+ * Verifica que la ventana de tiempo sea una de las admitidas y los parámetros de paginación.
+ *
+ * @constant
+ * @type {Array<import('express').RequestHandler>}
+ */
+export const validateTrendingPinsQuery = [
+  query('window')
+    .optional()
+    .isIn(['24h', '7d', '30d'])
+    .withMessage('La ventana debe ser 24h, 7d o 30d'),
+  ...paginationQueryRules,
+  handleValidationErrors,
+]
+
+/**
+ * Middleware de validación para la verificación de interacciones en lote.
+ *
+ * Verifica que `ids` sea una lista de entre 1 y 100 IDs de pines válidos.
+ *
+ * @constant
+ * @type {Array<import('express').RequestHandler>}
+ */
+export const validateBatchInteractionRequest = [
+  body('ids')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('ids debe ser una lista de entre 1 y 100 pines'),
+  body('ids.*').isMongoId().withMessage('El ID del pin no es válido'),
+  handleValidationErrors,
+]
+
+/**
+ * Middleware de validación para interactuar con un pin.
+ *
+ * Verifica que el tipo de interacción sea `like` o `save` y, al guardar, el tablero de destino.
+ *
+ * @constant
+ * @type {Array<import('express').RequestHandler>}
+ */
+export const validateInteractRequest = [
+  body('type')
+    .isIn(['like', 'save'])
+    .withMessage('El tipo de interacción debe ser like o save'),
+  ...validateSaveRequest,
+]
+
+/**
+ * Middleware de validación para quitar un pin guardado.
+ *
+ * El tablero, si se indica en la consulta, debe ser un ID válido.
+ *
+ * @constant
+ * @type {Array<import('express').RequestHandler>}
+ */
+export const validateUnsaveRequest = [
+  param('id').isMongoId().withMessage('El ID del pin no es válido'),
+  query('board')
+    .optional()
+    .isMongoId()
+    .withMessage('El ID del tablero no es válido'),
   handleValidationErrors,
 ]
@@ -0,0 +1,18 @@
+import { query } from 'express-validator'
+import { handleValidationErrors } from './validation.js'
+
+/**
+ * Middleware de validación para el listado de etiquetas en tendencia.
+ *
+ * Verifica que la ventana de tiempo sea una de las admitidas.
+ *
+ * @constant
+ * @type {Array<import('express').RequestHandler>}
+ */
+export const validateTrendingTagsQuery = [
+  query('window')
+    .optional()
+    .isIn(['24h', '7d', '30d'])
+    .withMessage('La ventana debe ser 24h, 7d o 30d'),
+  handleValidationErrors,
+]
@@ -1,12 +1,24 @@
-import { body, param } from 'express-validator'
+import { body, param, query } from 'express-validator'
+import { paginationQueryRules } from './pagination.validator.js'
 import { handleValidationErrors } from './validation.js'
 
+/**
+ * Formato permitido para los nombres de usuario: de 3 a 30 letras, números, puntos o guiones bajos.
+ *
+ * @constant
+ * @type {RegExp}
+ */
+const USERNAME_PATTERN = /^[a-zA-Z0-9._]{3,30}$/
+
+const USERNAME_MESSAGE =
+  'El nombre de usuario debe tener entre 3 y 30 caracteres y solo puede contener letras, números, puntos y guiones bajos'
+
 /**
  * Middleware de validación para solicitudes de usuario.
  *
  * Este array contiene una serie de middlewares que validan los campos requeridos
- * en una solicitud relacionada con usuarios. Verifica que el nombre de usuario sea
- * una cadena no vacía, que el correo electrónico tenga un formato válido y no esté vacío,
+ * en una solicitud relacionada con usuarios. Verifica que el nombre de usuario cumpla
+ * `USERNAME_PATTERN`, que el correo electrónico tenga un formato válido y no esté vacío,
  * y que la contraseña sea una cadena de al menos 6 caracteres.
  * Si alguna validación falla, se manejan los errores de validación correspondientes.
  *
@@ -16,12 +28,15 @@ import { handleValidationErrors } from './validation.js'
 export const validateUserRequest = [
   body('username')
     .isString()
-    .notEmpty()
-    .withMessage('El nombre de usuario es requerido'),
+    .trim()
+    .matches(USERNAME_PATTERN)
+    .withMessage(USERNAME_MESSAGE),
   body('email')
     .isEmail()
     .notEmpty()
-    .withMessage('El correo electrónico es requerido'),
+    .withMessage('El correo electrónico es requerido')
+    .trim()
+    .toLowerCase(),
   body('password')
     .isString()
     .isLength({ min: 6 })
@@ -33,7 +48,9 @@ export const validateLoginRequest = [
   body('email')
     .isEmail()
     .notEmpty()
-    .withMessage('El correo electrónico es requerido'),
+    .withMessage('El correo electrónico es requerido')
+    .trim()
+    .toLowerCase(),
   body('password')
     .isString()
     .notEmpty()
@@ -47,3 +64,168 @@ export const validateGetUserParams = [
     .notEmpty()
     .withMessage('El nombre de usuario es requerido'),
 ]
+
+/**
+ * Middleware de validación para los listados paginados de un usuario (likes, guardados,
+ * seguidores y seguidos).
+ *
+ * @constant
+ * @type {Array<import('express').RequestHandler>}
+ */
+export const validateUserListQuery = [
+  param('username')
+    .isString()
+    .notEmpty()
+    .withMessage('El nombre de usuario es requerido'),
+  ...paginationQueryRules,
+  handleValidationErrors,
+]
+
+/**
+ * Middleware de validación para actualizar los ajustes de privacidad.
+ *
+ * Ambos campos son opcionales, pero si se envían deben ser booleanos.
+ *
+ * @constant
+ * @type {Array<import('express').RequestHandler>}
+ */
+export const validatePrivacyRequest = [
+  body('hideLikes')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('hideLikes debe ser un booleano'),
+  body('hideSaves')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('hideSaves debe ser un booleano'),
+  handleValidationErrors,
+]
+
+/**
+ * Middleware de validación para seguir o dejar de seguir a un usuario.
+ *
+ * `followBoards`, si se envía, debe ser un booleano.
+ *
+ * @constant
+ * @type {Array<import('express').RequestHandler>}
+ */
+export const validateFollowRequest = [
+  param('username')
+    .isString()
+    .notEmpty()
+    .withMessage('El nombre de usuario es requerido'),
+  body('followBoards')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('followBoards debe ser un booleano'),
+  handleValidationErrors,
+]
+
+/**
+ * Middleware de validación para actualizar el perfil del usuario.
+ *
+ * Todos los campos son opcionales, pero el nombre visible y el nombre de usuario no pueden
+ * quedar vacíos, la biografía tiene un máximo de 500 caracteres y el sitio web, si se envía
+ * no vacío, debe ser una URL http(s).
+ *
+ * @constant
+ * @type {Array<import('express').RequestHandler>}
+ */
+export const validateProfileUpdateRequest = [
+  body('displayName')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('El nombre visible no puede estar vacío'),
+  body('username')
+    .optional()
+    .isString()
+    .trim()
+    .matches(USERNAME_PATTERN)
+    .withMessage(USERNAME_MESSAGE),
+  body('bio')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('La biografía debe tener como máximo 500 caracteres'),
+  body('website')
+    .optional({ values: 'falsy' })
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('El sitio web debe ser una URL válida'),
+  handleValidationErrors,
+]
+
+/**
+ * Middleware de validación para comprobar la disponibilidad de un nombre de usuario.
+ *
+ * @constant
+ * @type {Array<import('express').RequestHandler>}
+ */
+export const validateAvailabilityQuery = [
+  query('username')
+    .isString()
+    .trim()
+    .matches(USERNAME_PATTERN)
+    .withMessage(USERNAME_MESSAGE),
+  handleValidationErrors,
+]
+
+/**
+ * Middleware de validación para solicitar el restablecimiento de la contraseña.
+ *
+ * @constant
+ * @type {Array<import('express').RequestHandler>}
+ */
+export const validateForgotPasswordRequest = [
+  body('email')
+    .isEmail()
+    .withMessage('El correo electrónico es requerido')
+    .trim()
+    .toLowerCase(),
+  handleValidationErrors,
+]
+
+/**
+ * Middleware de validación para restablecer la contraseña con un token.
+ *
+ * @constant
+ * @type {Array<import('express').RequestHandler>}
+ */
+export const validateResetPasswordRequest = [
+  body('token').isString().notEmpty().withMessage('El token es requerido'),
+  body('password')
+    .isString()
+    .isLength({ min: 6 })
+    .withMessage('La contraseña debe tener al menos 6 caracteres'),
+  handleValidationErrors,
+]
+
+/**
+ * Middleware de validación para cambiar la contraseña del usuario autenticado.
+ *
+ * @constant
+ * @type {Array<import('express').RequestHandler>}
+ */
+export const validateChangePasswordRequest = [
+  body('currentPassword')
+    .isString()
+    .notEmpty()
+    .withMessage('La contraseña actual es requerida'),
+  body('newPassword')
+    .isString()
+    .isLength({ min: 6 })
+    .withMessage('La contraseña debe tener al menos 6 caracteres'),
+  handleValidationErrors,
+]
+
+/**
+ * Middleware de validación para verificar el correo con un token.
+ *
+ * @constant
+ * @type {Array<import('express').RequestHandler>}
+ */
+export const validateVerifyEmailRequest = [
+  body('token').isString().notEmpty().withMessage('El token es requerido'),
+  handleValidationErrors,
+]
@@ -1,35 +1,135 @@
 import jwt from 'jsonwebtoken'
-import { JWT_SECRET } from '../constants/config.js'
+import { JWT_SECRET, REQUIRE_VERIFIED_EMAIL } from '../constants/config.js'
+import User, { isEmailVerified } from '../models/user.model.js'
 import { responseReturn } from '../utils/res.util.js'
 
 /**
  * Middleware para verificar la validez del token JWT en las cookies de la solicitud.
  *
  * Este middleware busca el token en las cookies de la petición. Si no se encuentra,
- * responde con un error 401. Si el token es inválido, responde con un error 403.
+ * responde con un error 401. Si el token es inválido o la sesión fue invalidada (por
+ * ejemplo, tras cambiar la contraseña), responde con un error 403.
  * Si el token es válido, agrega el userId decodificado al objeto de la solicitud y
  * llama a la siguiente función middleware.
  *
+ * @async
  * @function
  * @param {import('express').Request} req - Objeto de solicitud de Express.
  * @param {import('express').Response} res - Objeto de respuesta de Express.
  * @param {import('express').NextFunction} next - Función para pasar al siguiente middleware.
- * @returns {void}
+ * @returns {Promise<void>}
  */
-export const verifyToken = (req, res, next) => {
+export const verifyToken = async (req, res, next) => {
   const token = req.cookies.token
 
   if (!token) {
     return responseReturn(res, 401, { message: 'Token no proporcionado' })
   }
 
-  jwt.verify(token, JWT_SECRET, (err, decoded) => {
-    if (err) {
-      return responseReturn(res, 403, { message: 'Token inválido' })
-    }
+  const userId = await getSessionUserId(token)
 
-    req.userId = decoded.userId
+  if (!userId) {
+    return responseReturn(res, 403, { message: 'Token inválido' })
+  }
+
+  req.userId = userId
+
+  next()
+}
+
+/**
+ * Middleware que identifica al usuario si la solicitud trae un token válido, sin exigirlo.
+ *
+ * Si el token existe y es válido, agrega el userId decodificado al objeto de la solicitud.
+ * En cualquier otro caso continúa sin `req.userId`, de modo que las rutas públicas pueden
+ * adaptar la respuesta al usuario autenticado.
+ *
+ * @async
+ * @function
+ * @param {import('express').Request} req - Objeto de solicitud de Express.
+ * @param {import('express').Response} res - Objeto de respuesta de Express.
+ * @param {import('express').NextFunction} next - Función para pasar al siguiente middleware.
+ * @returns {Promise<void>}
+ */
+export const optionalToken = async (req, res, next) => {
+  const token = req.cookies.token
+
+  if (token) {
+    const userId = await getSessionUserId(token)
+
+    if (userId) req.userId = userId
+  }
+
+  next()
+}
+
+/**
+ * Middleware que exige que el usuario autenticado haya verificado su correo electrónico.
+ *
+ * Debe ir después de `verifyToken`. Si `REQUIRE_VERIFIED_EMAIL` está desactivado no
+ * restringe nada; en otro caso responde con 403 a los usuarios sin verificar.
+ *
+ * @async
+ * @function
+ * @param {import('express').Request} req - Objeto de solicitud de Express.
+ * @param {import('express').Response} res - Objeto de respuesta de Express.
+ * @param {import('express').NextFunction} next - Función para pasar al siguiente middleware.
+ * @returns {Promise<void>}
+ */
+export const requireVerifiedEmail = async (req, res, next) => {
+  if (!REQUIRE_VERIFIED_EMAIL) return next()
+
+  const user = await User.findById(req.userId, 'emailVerified').lean()
+
+  if (!user || !isEmailVerified(user)) {
+    return responseReturn(res, 403, {
+      message: 'Debes verificar tu correo electrónico',
+      code: 'EMAIL_NOT_VERIFIED',
+    })
+  }
+
+  next()
+}
+
+/**
+ * Firma el JWT de sesión de un usuario.
+ *
+ * El token incluye `tokenVersion`, de modo que incrementarla en el usuario invalida todas
+ * sus sesiones anteriores.
+ *
+ * @param {{ _id: import('mongoose').Types.ObjectId, tokenVersion?: number }} user - Usuario de la sesión.
+ * @returns {string} JWT firmado.
+ */
+export const signSessionToken = (user) =>
+  jwt.sign(
+    { userId: user._id, tokenVersion: user.tokenVersion ?? 0 },
+    JWT_SECRET
+  )
+
+/**
+ * Verifica un JWT de sesión y comprueba que su versión coincida con la del usuario.
+ *
+ * Los tokens emitidos antes de existir `tokenVersion` se tratan como versión 0.
+ *
+ * @private
+ * @async
+ * @param {string} token - JWT de la cookie.
+ * @returns {Promise<string|null>} Id del usuario, o `null` si el token no es válido.
+ */
+const getSessionUserId = async (token) => {
+  let payload
+
+  try {
+    payload = jwt.verify(token, JWT_SECRET)
+  } catch {
+    return null
+  }
+
+  const user = await User.findById(payload.userId, 'tokenVersion').lean()
+
+  if (!user || (user.tokenVersion ?? 0) !== (payload.tokenVersion ?? 0)) {
+    return null
+  }
 
-    next()
-  })
+  return payload.userId
 }
@@ -1,12 +1,71 @@
 import { Schema, model } from 'mongoose'
 
+/**
+ * Esquema de los colaboradores de un tablero.
+ *
+ * @typedef {Object} BoardCollaborator
+ * @property {Schema.Types.ObjectId} user - Usuario invitado. Campo requerido.
+ * @property {'editor'|'viewer'} role - Rol del colaborador: los editores pueden añadir y quitar pines y los lectores solo ver el tablero.
+ * @property {'pending'|'accepted'} status - Estado de la invitación. Solo las aceptadas dan acceso.
+ * @property {Date} invitedAt - Fecha de la invitación.
+ * @property {Date|null} [acceptedAt] - Fecha en que se aceptó la invitación.
+ */
+const collaboratorSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: ['editor', 'viewer'],
+      default: 'viewer',
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'accepted'],
+      default: 'pending',
+    },
+    invitedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    acceptedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { _id: false }
+)
+
+/**
+ * Esquema de las secciones de un tablero.
+ *
+ * @typedef {Object} BoardSection
+ * @property {Schema.Types.ObjectId} _id - ID de la sección (generado automáticamente).
+ * @property {string} title - Nombre de la sección. Campo requerido.
+ */
+const sectionSchema = new Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+})
+
 /**
  * Esquema para tableros que contienen pins.
  *
  * Define la estructura de los documentos de tablero, incluyendo los siguientes campos:
  * @typedef {Object} Board
  * @property {string} title - Título del tablero. Campo requerido.
+ * @property {string} [description] - Descripción del tablero. Campo opcional.
  * @property {Schema.Types.ObjectId} user - Referencia al usuario propietario del tablero. Campo requerido.
+ * @property {Schema.Types.ObjectId|null} [cover] - Pin elegido como portada del tablero. Campo opcional.
+ * @property {'public'|'secret'} visibility - Visibilidad del tablero. Los secretos solo los ven sus miembros. Por defecto `public`.
+ * @property {BoardCollaborator[]} collaborators - Usuarios invitados al tablero y su rol.
+ * @property {BoardSection[]} sections - Secciones con nombre en las que se agrupan los pines del tablero.
  * @property {Date} createdAt - Fecha en que se creó el tablero (generada automáticamente).
  * @property {Date} updatedAt - Fecha de última actualización (generada automáticamente).
  */
@@ -15,14 +74,41 @@ const boardSchema = new Schema(
     title: {
       type: String,
       required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: '',
     },
     user: {
       type: Schema.Types.ObjectId,
       ref: "User",
       required: true,
     },
+    cover: {
+      type: Schema.Types.ObjectId,
+      ref: "Pin",
+      default: null,
+    },
+    visibility: {
+      type: String,
+      enum: ['public', 'secret'],
+      default: 'public',
+    },
+    collaborators: {
+      type: [collaboratorSchema],
+      default: [],
+    },
+    sections: {
+      type: [sectionSchema],
+      default: [],
+    },
   },
   { timestamps: true }
 )
 
+boardSchema.index({ user: 1, createdAt: -1 })
+boardSchema.index({ 'collaborators.user': 1, 'collaborators.status': 1 })
+
 export default model('Board', boardSchema)
@@ -0,0 +1,32 @@
+import { Schema, model } from 'mongoose'
+
+/**
+ * Esquema para el seguimiento de tableros por los usuarios.
+ *
+ * Define la estructura de los documentos de seguimiento de tableros, incluyendo los siguientes campos:
+ * @typedef {Object} BoardFollow
+ * @property {Schema.Types.ObjectId} follower - Referencia al usuario que sigue el tablero. Campo requerido.
+ * @property {Schema.Types.ObjectId} board - Referencia al tablero seguido. Campo requerido.
+ * @property {Date} createdAt - Fecha en que se inició el seguimiento (generada automáticamente).
+ * @property {Date} updatedAt - Fecha de última actualización (generada automáticamente).
+ */
+const boardFollowSchema = new Schema(
+  {
+    follower: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    board: {
+      type: Schema.Types.ObjectId,
+      ref: 'Board',
+      required: true,
+    },
+  },
+  { timestamps: true }
+)
+
+boardFollowSchema.index({ follower: 1, board: 1 }, { unique: true })
+boardFollowSchema.index({ board: 1 })
+
+export default model('BoardFollow', boardFollowSchema)
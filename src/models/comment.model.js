@@ -8,6 +8,8 @@ import { Schema, model } from 'mongoose'
  * @property {string} description - Contenido del comentario. Campo requerido.
  * @property {Schema.Types.ObjectId} pin - Referencia al pin que se comenta. Campo requerido.
  * @property {Schema.Types.ObjectId} user - Referencia al usuario que escribe el comentario. Campo requerido.
+ * @property {Schema.Types.ObjectId|null} [parent] - Comentario al que responde. Nulo en los comentarios de primer nivel.
+ * @property {Date|null} [editedAt] - Fecha de la última edición del contenido. Nulo si nunca se editó.
  * @property {Date} createdAt - Fecha en que se creó el comentario (generada automáticamente).
  * @property {Date} updatedAt - Fecha de última actualización (generada automáticamente).
  */
@@ -27,8 +29,21 @@ const commentSchema = new Schema(
       ref: "User",
       required: true,
     },
+    parent: {
+      type: Schema.Types.ObjectId,
+      ref: "Comment",
+      default: null,
+    },
+    editedAt: {
+      type: Date,
+      default: null,
+    },
   },
   { timestamps: true }
 )
 
+commentSchema.index({ pin: 1, parent: 1, createdAt: -1 })
+commentSchema.index({ parent: 1 })
+commentSchema.index({ createdAt: -1 })
+
 export default model('Comment', commentSchema)
@@ -26,4 +26,9 @@ const followSchema = new Schema(
   { timestamps: true }
 )
 
+// Los seguimientos duplicados anteriores al índice se eliminan con `npm run dedupe:interactions`
+followSchema.index({ follower: 1, following: 1 }, { unique: true })
+followSchema.index({ follower: 1, createdAt: -1 })
+followSchema.index({ following: 1, createdAt: -1 })
+
 export default model('Follow', followSchema)
@@ -26,4 +26,9 @@ const likeSchema = new Schema(
   { timestamps: true }
 )
 
+// Los likes duplicados anteriores al índice se eliminan con `npm run dedupe:interactions`
+likeSchema.index({ user: 1, pin: 1 }, { unique: true })
+likeSchema.index({ user: 1, createdAt: -1 })
+likeSchema.index({ createdAt: -1 })
+
 export default model('Like', likeSchema)
@@ -1,19 +1,27 @@
 import { Schema, model } from 'mongoose'
+import { getMediaUrl } from '../storage/storage.js'
 
 /**
  * Esquema de pin para la base de datos.
  *
  * Define la estructura de los documentos de pin, incluyendo los siguientes campos:
  * @typedef {Object} Pin
- * @property {string} media - URL de la imagen o media del pin. Campo requerido.
+ * @property {string} media - Clave del archivo del pin en el proveedor de almacenamiento. Campo requerido.
+ * @property {string} mediaUrl - URL pública del archivo (virtual, calculada a partir de `media`).
  * @property {number} width - Ancho de la imagen en píxeles. Campo requerido.
  * @property {number} height - Altura de la imagen en píxeles. Campo requerido.
  * @property {string} title - Título del pin. Campo requerido.
  * @property {string} description - Descripción del pin. Campo requerido.
  * @property {string} [link] - Enlace externo asociado al pin. Campo opcional.
  * @property {Schema.Types.ObjectId} [board] - Tablero al que pertenece el pin. Campo opcional.
+ * @property {boolean} secret - Copia de la visibilidad del tablero: `true` si el tablero es secreto. Por defecto `false`.
+ * @property {Schema.Types.ObjectId|null} [section] - Sección del tablero en la que está el pin. Campo opcional.
+ * @property {number} [position] - Posición manual del pin en su tablero; los valores mayores se muestran primero. Si falta, se usa la fecha de creación.
  * @property {string[]} [tags] - Etiquetas asociadas al pin. Campo opcional.
  * @property {Schema.Types.ObjectId} user - Usuario que creó el pin. Campo requerido.
+ * @property {number} likeCount - Número de likes del pin (contador desnormalizado de `Like`).
+ * @property {number} saveCount - Número de usuarios que han guardado el pin (contador desnormalizado de `Save`).
+ * @property {number} commentCount - Número de comentarios del pin, incluidas las respuestas (contador desnormalizado de `Comment`).
  * @property {Date} createdAt - Fecha de creación del pin (generada automáticamente).
  * @property {Date} updatedAt - Fecha de última actualización del pin (generada automáticamente).
  */
@@ -46,6 +54,17 @@ const pinSchema = new Schema(
       type: Schema.Types.ObjectId,
       ref: "Board",
     },
+    secret: {
+      type: Boolean,
+      default: false,
+    },
+    section: {
+      type: Schema.Types.ObjectId,
+      default: null,
+    },
+    position: {
+      type: Number,
+    },
     tags: {
       type: [String],
     },
@@ -54,8 +73,39 @@ const pinSchema = new Schema(
       ref: "User",
       required: true,
     },
+    likeCount: {
+      type: Number,
+      default: 0,
+    },
+    saveCount: {
+      type: Number,
+      default: 0,
+    },
+    commentCount: {
+      type: Number,
+      default: 0,
+    },
   },
-  { timestamps: true }
+  {
+    timestamps: true,
+    id: false,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
 )
 
+pinSchema.index(
+  { title: 'text', description: 'text', tags: 'text' },
+  { name: 'pin_text_search', weights: { title: 5, tags: 3, description: 1 } }
+)
+pinSchema.index({ user: 1, createdAt: -1 })
+pinSchema.index({ board: 1, createdAt: -1 })
+pinSchema.index({ board: 1, position: -1 })
+pinSchema.index({ likeCount: -1, createdAt: -1 })
+pinSchema.index({ saveCount: -1, createdAt: -1 })
+
+pinSchema.virtual('mediaUrl').get(function () {
+  return getMediaUrl(this.media)
+})
+
 export default model('Pin', pinSchema)
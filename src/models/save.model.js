@@ -1,12 +1,38 @@
 import { Schema, model } from 'mongoose'
 
+/**
+ * Esquema de los tableros en los que un usuario ha guardado un pin.
+ *
+ * @typedef {Object} SavedBoard
+ * @property {Schema.Types.ObjectId} board - Referencia al tablero. Campo requerido.
+ * @property {Date} savedAt - Fecha en que se guardó el pin en el tablero.
+ */
+const savedBoardSchema = new Schema(
+  {
+    board: {
+      type: Schema.Types.ObjectId,
+      ref: 'Board',
+      required: true,
+    },
+    savedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+)
+
 /**
  * Esquema para guardar pins por los usuarios.
  *
+ * Cada usuario tiene un único documento por pin; los tableros en los que lo ha guardado se
+ * acumulan en `boards`. Un guardado sin tableros es un guardado en el perfil.
+ *
  * Define la estructura de los documentos de guardado, incluyendo los siguientes campos:
  * @typedef {Object} Save
  * @property {Schema.Types.ObjectId} pin - Referencia al pin que se guarda. Campo requerido.
  * @property {Schema.Types.ObjectId} user - Referencia al usuario que guarda el pin. Campo requerido.
+ * @property {SavedBoard[]} boards - Tableros del usuario en los que se guardó el pin.
  * @property {Date} createdAt - Fecha en que se guardó el pin (generada automáticamente).
  * @property {Date} updatedAt - Fecha de última actualización (generada automáticamente).
  */
@@ -22,8 +48,20 @@ const saveSchema = new Schema(
       ref: "User",
       required: true,
     },
+    boards: {
+      type: [savedBoardSchema],
+      default: [],
+    },
   },
   { timestamps: true }
 )
 
+// Los guardados duplicados anteriores al índice se unen con `npm run dedupe:interactions`
+saveSchema.index({ user: 1, pin: 1 }, { unique: true })
+saveSchema.index({ user: 1, createdAt: -1 })
+saveSchema.index({ 'boards.board': 1 })
+saveSchema.index({ pin: 1 })
+saveSchema.index({ createdAt: -1 })
+saveSchema.index({ 'boards.savedAt': -1 })
+
 export default model('Save', saveSchema)
@@ -0,0 +1,62 @@
+import { Schema, model } from 'mongoose'
+
+/**
+ * Tipos de token de un solo uso.
+ *
+ * @constant
+ * @type {Object<string, string>}
+ */
+export const TOKEN_TYPES = {
+  passwordReset: 'passwordReset',
+  emailVerification: 'emailVerification',
+}
+
+/**
+ * Esquema para los tokens de un solo uso enviados por correo.
+ *
+ * Solo se guarda el hash del token; el valor original únicamente lo recibe el usuario.
+ * MongoDB elimina los documentos al llegar a `expiresAt`.
+ *
+ * Define la estructura de los documentos de token, incluyendo los siguientes campos:
+ * @typedef {Object} Token
+ * @property {Schema.Types.ObjectId} user - Referencia al usuario del token. Campo requerido.
+ * @property {string} type - Tipo de token (ver `TOKEN_TYPES`). Campo requerido.
+ * @property {string} tokenHash - Hash SHA-256 del token. Campo requerido y único.
+ * @property {Date} expiresAt - Fecha de caducidad del token. Campo requerido.
+ * @property {Date|null} usedAt - Fecha en que se usó el token, o `null` si sigue disponible.
+ * @property {Date} createdAt - Fecha de creación del token (generada automáticamente).
+ * @property {Date} updatedAt - Fecha de última actualización (generada automáticamente).
+ */
+const tokenSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: Object.values(TOKEN_TYPES),
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+)
+
+tokenSchema.index({ tokenHash: 1 }, { unique: true })
+tokenSchema.index({ user: 1, type: 1 })
+tokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+export default model('Token', tokenSchema)
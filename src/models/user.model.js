@@ -1,4 +1,35 @@
 import { Schema, model } from 'mongoose'
+import { getMediaUrl } from '../storage/storage.js'
+
+/**
+ * Collation con la que se comparan los nombres de usuario: sin distinguir mayúsculas de minúsculas.
+ * Las consultas por nombre de usuario deben usarla para aprovechar el índice único.
+ *
+ * @constant
+ * @type {import('mongodb').CollationOptions}
+ */
+export const USERNAME_COLLATION = { locale: 'en', strength: 2 }
+
+/**
+ * Esquema de un nombre de usuario anterior, que redirige al actual durante un tiempo.
+ *
+ * @typedef {Object} PreviousUsername
+ * @property {string} username - Nombre de usuario anterior.
+ * @property {Date} changedAt - Fecha en que se cambió.
+ */
+const previousUsernameSchema = new Schema(
+  {
+    username: {
+      type: String,
+      required: true,
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+)
 
 /**
  * Esquema de usuario para la base de datos.
@@ -6,10 +37,24 @@ import { Schema, model } from 'mongoose'
  * Define la estructura de los documentos de usuario, incluyendo los siguientes campos:
  * @typedef {Object} User
  * @property {string} displayName - Nombre visible del usuario. Campo requerido.
- * @property {string} username - Nombre de usuario único. Campo requerido.
- * @property {string} email - Correo electrónico del usuario. Campo requerido.
- * @property {string} [img] - URL de la imagen de perfil del usuario. Campo opcional.
+ * @property {string} username - Nombre de usuario único sin distinguir mayúsculas (ver `USERNAME_COLLATION`). Campo requerido.
+ * @property {string} email - Correo electrónico del usuario, único y guardado en minúsculas. Campo requerido.
+ * @property {boolean} [emailVerified] - Si el usuario ha verificado su correo. Los usuarios nuevos empiezan en `false`;
+ * en los creados antes de la verificación el campo no existe y se consideran verificados (ver `isEmailVerified`).
+ * @property {string} [img] - URL externa de la imagen de perfil. Campo opcional; al serializar se sustituye por la URL
+ * del tamaño mediano del avatar si el usuario lo ha subido.
+ * @property {Object} avatar - Claves en el almacenamiento de cada tamaño del avatar (`small`, `medium`, `large`).
+ * @property {Object} avatarUrls - URLs públicas de cada tamaño del avatar (virtual, calculada a partir de `avatar`).
+ * @property {string} bio - Biografía del usuario.
+ * @property {string|null} website - Sitio web del usuario.
+ * @property {PreviousUsername[]} previousUsernames - Nombres de usuario anteriores.
  * @property {string} hashedPassword - Contraseña del usuario en formato hash. Campo requerido.
+ * @property {number} tokenVersion - Versión de las sesiones; incrementarla invalida todos los JWT emitidos antes.
+ * @property {number} followerCount - Número de seguidores (contador desnormalizado de `Follow`).
+ * @property {number} followingCount - Número de usuarios seguidos (contador desnormalizado de `Follow`).
+ * @property {Object} privacy - Ajustes de privacidad del perfil.
+ * @property {boolean} privacy.hideLikes - Oculta a los demás los pines que le gustan al usuario.
+ * @property {boolean} privacy.hideSaves - Oculta a los demás los pines que ha guardado el usuario.
  * @property {Date} createdAt - Fecha de creación del usuario (generada automáticamente).
  * @property {Date} updatedAt - Fecha de última actualización del usuario (generada automáticamente).
  */
@@ -22,20 +67,172 @@ const userSchema = new Schema(
     username: {
       type: String,
       required: true,
+      trim: true,
     },
     email: {
       type: String,
       required: true,
+      trim: true,
+      lowercase: true,
+    },
+    emailVerified: {
+      type: Boolean,
     },
     img: {
       type: String,
     },
+    avatar: {
+      small: { type: String, default: null },
+      medium: { type: String, default: null },
+      large: { type: String, default: null },
+    },
+    bio: {
+      type: String,
+      default: '',
+    },
+    website: {
+      type: String,
+      default: null,
+    },
+    previousUsernames: {
+      type: [previousUsernameSchema],
+      default: [],
+    },
     hashedPassword: {
       type: String,
       required: true,
     },
+    tokenVersion: {
+      type: Number,
+      default: 0,
+    },
+    followerCount: {
+      type: Number,
+      default: 0,
+    },
+    followingCount: {
+      type: Number,
+      default: 0,
+    },
+    privacy: {
+      hideLikes: {
+        type: Boolean,
+        default: false,
+      },
+      hideSaves: {
+        type: Boolean,
+        default: false,
+      },
+    },
   },
-  { timestamps: true }
+  {
+    timestamps: true,
+    id: false,
+    toJSON: { virtuals: true, transform: (_, ret) => serializeUser(ret) },
+    toObject: { virtuals: true, transform: (_, ret) => serializeUser(ret) },
+  }
 )
 
+userSchema.index(
+  { username: 1 },
+  { unique: true, collation: USERNAME_COLLATION }
+)
+userSchema.index({ email: 1 }, { unique: true })
+userSchema.index(
+  { 'previousUsernames.username': 1 },
+  { collation: USERNAME_COLLATION }
+)
+
+/**
+ * Indica si el correo del usuario está verificado.
+ *
+ * Solo `emailVerified: false` cuenta como no verificado, de modo que los usuarios creados
+ * antes de existir la verificación no quedan bloqueados.
+ *
+ * @param {{ emailVerified?: boolean }} user - Usuario a comprobar.
+ * @returns {boolean} `true` si el correo está verificado.
+ */
+export const isEmailVerified = (user) => user.emailVerified !== false
+
+/**
+ * Campos de un usuario que puede ver cualquiera.
+ *
+ * @private
+ * @constant {string[]}
+ */
+const PUBLIC_USER_FIELDS = [
+  '_id',
+  'username',
+  'displayName',
+  'bio',
+  'website',
+  'followerCount',
+  'followingCount',
+  'createdAt',
+]
+
+/**
+ * Campos de un usuario que solo ve él mismo.
+ *
+ * @private
+ * @constant {string[]}
+ */
+const OWNER_USER_FIELDS = ['email', 'privacy', 'updatedAt']
+
+/**
+ * Serializa un usuario con solo los campos públicos, o también los del propio usuario con
+ * `isOwner`. Nunca incluye la contraseña, `tokenVersion`, los nombres de usuario anteriores
+ * ni las claves del avatar en el almacenamiento: `img` y `avatarUrls` se calculan a partir de
+ * ellas. Los campos que no se seleccionaron en la consulta se omiten.
+ *
+ * Es también la transformación de `toJSON` y `toObject`, de modo que los usuarios populados en
+ * otras respuestas se serializan como públicos.
+ *
+ * @param {Object} user - Documento de usuario u objeto plano (por ejemplo, de una agregación).
+ * @param {Object} [options] - Opciones de serialización.
+ * @param {boolean} [options.isOwner=false] - Incluye el correo, su verificación y la privacidad.
+ * @returns {Object} Usuario serializado.
+ */
+export const serializeUser = (user, { isOwner = false } = {}) => {
+  const source =
+    typeof user.toObject === 'function'
+      ? user.toObject({ virtuals: false, transform: false })
+      : user
+  const fields = isOwner
+    ? [...PUBLIC_USER_FIELDS, ...OWNER_USER_FIELDS]
+    : PUBLIC_USER_FIELDS
+
+  const serialized = Object.fromEntries(
+    fields
+      .filter((field) => source[field] !== undefined)
+      .map((field) => [field, source[field]])
+  )
+
+  const avatarUrls = getAvatarUrls(source.avatar)
+
+  serialized.img = avatarUrls.medium ?? source.img ?? null
+  serialized.avatarUrls = avatarUrls
+
+  if (isOwner) serialized.emailVerified = isEmailVerified(source)
+
+  return serialized
+}
+
+userSchema.virtual('avatarUrls').get(function () {
+  return getAvatarUrls(this.avatar)
+})
+
 export default model('User', userSchema)
+
+/**
+ * Calcula las URLs públicas de cada tamaño del avatar a partir de sus claves.
+ *
+ * @private
+ * @param {Object} [avatar] - Claves del avatar (`small`, `medium`, `large`).
+ * @returns {{small: string|null, medium: string|null, large: string|null}} URLs del avatar.
+ */
+const getAvatarUrls = (avatar) => ({
+  small: getMediaUrl(avatar?.small),
+  medium: getMediaUrl(avatar?.medium),
+  large: getMediaUrl(avatar?.large),
+})
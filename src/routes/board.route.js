@@ -1,22 +1,304 @@
 import { Router } from 'express'
-import { getUserBoards } from '../controllers/board.controller.js'
+import {
+  acceptBoardInvitation,
+  createBoard,
+  createBoardSection,
+  declineBoardInvitation,
+  deleteBoard,
+  deleteBoardSection,
+  followBoard,
+  getBoardCollaborators,
+  getBoardInvitations,
+  getUserBoards,
+  inviteCollaborator,
+  moveBoardPin,
+  moveBoardPins,
+  removeBoardPin,
+  removeCollaborator,
+  setBoardCover,
+  updateBoard,
+  updateBoardSection,
+  updateCollaboratorRole,
+} from '../controllers/board.controller.js'
+import {
+  validateBoardCoverRequest,
+  validateBoardIdParam,
+  validateBoardPinParams,
+  validateBoardRequest,
+  validateBoardUpdateRequest,
+  validateCollaboratorParams,
+  validateCollaboratorRoleRequest,
+  validateDeleteBoardRequest,
+  validateGetBoardsQuery,
+  validateInviteCollaboratorRequest,
+  validateMoveBoardPinRequest,
+  validateMovePinsRequest,
+  validateSectionParams,
+  validateSectionRequest,
+  validateSectionUpdateRequest,
+} from '../middlewares/board.validator.js'
+import {
+  optionalToken,
+  verifyToken,
+} from '../middlewares/verifyToken.validator.js'
 
 /**
  * Router para gestionar los tableros de la aplicación.
  *
  * Este router define las rutas para las operaciones relacionadas con los tableros,
- * incluyendo la obtención de tableros por usuario.
+ * incluyendo la obtención de tableros por usuario, su gestión por parte del propietario
+ * la colaboración mediante invitaciones con roles de editor o lector, la organización
+ * de los pines en secciones con orden manual y el seguimiento de tableros.
  *
  * @module boardRouter
  */
 export const boardRouter = Router()
 
 /**
- * Obtiene todos los tableros de un usuario específico.
- * Incluye detalles adicionales como la cantidad de pines y el primer pin de cada tablero.
+ * Obtiene las invitaciones pendientes a tableros del usuario autenticado.
+ * Se declara antes de `/:userId` para que no se interprete como un ID de usuario.
+ *
+ * @name GET /boards/invitations
+ * @function
+ * @memberof module:boardRouter
+ */
+boardRouter.get('/invitations', verifyToken, getBoardInvitations)
+
+/**
+ * Obtiene los tableros de un usuario específico, paginados por cursor y ordenados por
+ * fecha de creación, título o último pin guardado (`sort`).
+ * Incluye la cantidad de pines, la portada y las miniaturas del collage de cada tablero.
+ * Los tableros secretos solo se devuelven a sus miembros.
  *
  * @name GET /boards/:userId
  * @function
  * @memberof module:boardRouter
  */
-boardRouter.get('/:userId', getUserBoards)
+boardRouter.get(
+  '/:userId',
+  optionalToken,
+  validateGetBoardsQuery,
+  getUserBoards
+)
+
+/**
+ * Crea un nuevo tablero para el usuario autenticado.
+ *
+ * @name POST /boards
+ * @function
+ * @memberof module:boardRouter
+ */
+boardRouter.post('/', verifyToken, validateBoardRequest, createBoard)
+
+/**
+ * Actualiza el título o la descripción de un tablero. Solo para el propietario.
+ *
+ * @name PATCH /boards/:id
+ * @function
+ * @memberof module:boardRouter
+ */
+boardRouter.patch('/:id', verifyToken, validateBoardUpdateRequest, updateBoard)
+
+/**
+ * Elimina un tablero. Con `?pins=delete` elimina también sus pines; por defecto los desasigna.
+ * Solo para el propietario.
+ *
+ * @name DELETE /boards/:id
+ * @function
+ * @memberof module:boardRouter
+ */
+boardRouter.delete('/:id', verifyToken, validateDeleteBoardRequest, deleteBoard)
+
+/**
+ * Establece o quita el pin de portada de un tablero. Solo para el propietario.
+ *
+ * @name PUT /boards/:id/cover
+ * @function
+ * @memberof module:boardRouter
+ */
+boardRouter.put(
+  '/:id/cover',
+  verifyToken,
+  validateBoardCoverRequest,
+  setBoardCover
+)
+
+/**
+ * Mueve pines del usuario autenticado al tablero indicado. Solo para el propietario y los editores.
+ *
+ * @name POST /boards/:id/pins
+ * @function
+ * @memberof module:boardRouter
+ */
+boardRouter.post(
+  '/:id/pins',
+  verifyToken,
+  validateMovePinsRequest,
+  moveBoardPins
+)
+
+/**
+ * Quita un pin del tablero sin eliminarlo. Solo para el propietario y los editores.
+ *
+ * @name DELETE /boards/:id/pins/:pinId
+ * @function
+ * @memberof module:boardRouter
+ */
+boardRouter.delete(
+  '/:id/pins/:pinId',
+  verifyToken,
+  validateBoardPinParams,
+  removeBoardPin
+)
+
+/**
+ * Obtiene el propietario y los colaboradores de un tablero visible para el usuario.
+ *
+ * @name GET /boards/:id/collaborators
+ * @function
+ * @memberof module:boardRouter
+ */
+boardRouter.get(
+  '/:id/collaborators',
+  optionalToken,
+  validateBoardIdParam,
+  getBoardCollaborators
+)
+
+/**
+ * Invita a un usuario a colaborar en el tablero como editor o lector. Solo para el propietario.
+ *
+ * @name POST /boards/:id/collaborators
+ * @function
+ * @memberof module:boardRouter
+ */
+boardRouter.post(
+  '/:id/collaborators',
+  verifyToken,
+  validateInviteCollaboratorRequest,
+  inviteCollaborator
+)
+
+/**
+ * Cambia el rol de un colaborador. Solo para el propietario.
+ *
+ * @name PATCH /boards/:id/collaborators/:userId
+ * @function
+ * @memberof module:boardRouter
+ */
+boardRouter.patch(
+  '/:id/collaborators/:userId',
+  verifyToken,
+  validateCollaboratorRoleRequest,
+  updateCollaboratorRole
+)
+
+/**
+ * Quita a un colaborador o cancela su invitación. El propietario puede quitar a cualquiera
+ * y cada colaborador puede abandonar el tablero.
+ *
+ * @name DELETE /boards/:id/collaborators/:userId
+ * @function
+ * @memberof module:boardRouter
+ */
+boardRouter.delete(
+  '/:id/collaborators/:userId',
+  verifyToken,
+  validateCollaboratorParams,
+  removeCollaborator
+)
+
+/**
+ * Acepta la invitación del usuario autenticado al tablero.
+ *
+ * @name POST /boards/:id/invitations/accept
+ * @function
+ * @memberof module:boardRouter
+ */
+boardRouter.post(
+  '/:id/invitations/accept',
+  verifyToken,
+  validateBoardIdParam,
+  acceptBoardInvitation
+)
+
+/**
+ * Rechaza la invitación del usuario autenticado al tablero.
+ *
+ * @name POST /boards/:id/invitations/decline
+ * @function
+ * @memberof module:boardRouter
+ */
+boardRouter.post(
+  '/:id/invitations/decline',
+  verifyToken,
+  validateBoardIdParam,
+  declineBoardInvitation
+)
+
+/**
+ * Cambia la posición de un pin en el tablero (mover el pin delante de otro) y opcionalmente su sección.
+ * Solo para el propietario y los editores.
+ *
+ * @name PATCH /boards/:id/pins/:pinId/position
+ * @function
+ * @memberof module:boardRouter
+ */
+boardRouter.patch(
+  '/:id/pins/:pinId/position',
+  verifyToken,
+  validateMoveBoardPinRequest,
+  moveBoardPin
+)
+
+/**
+ * Crea una sección en el tablero. Solo para el propietario y los editores.
+ *
+ * @name POST /boards/:id/sections
+ * @function
+ * @memberof module:boardRouter
+ */
+boardRouter.post(
+  '/:id/sections',
+  verifyToken,
+  validateSectionRequest,
+  createBoardSection
+)
+
+/**
+ * Cambia el nombre de una sección. Solo para el propietario y los editores.
+ *
+ * @name PATCH /boards/:id/sections/:sectionId
+ * @function
+ * @memberof module:boardRouter
+ */
+boardRouter.patch(
+  '/:id/sections/:sectionId',
+  verifyToken,
+  validateSectionUpdateRequest,
+  updateBoardSection
+)
+
+/**
+ * Elimina una sección; sus pines permanecen en el tablero sin sección.
+ * Solo para el propietario y los editores.
+ *
+ * @name DELETE /boards/:id/sections/:sectionId
+ * @function
+ * @memberof module:boardRouter
+ */
+boardRouter.delete(
+  '/:id/sections/:sectionId',
+  verifyToken,
+  validateSectionParams,
+  deleteBoardSection
+)
+
+/**
+ * Alterna el seguimiento del tablero por el usuario autenticado.
+ *
+ * @name POST /boards/:id/follow
+ * @function
+ * @memberof module:boardRouter
+ */
+boardRouter.post('/:id/follow', verifyToken, validateBoardIdParam, followBoard)
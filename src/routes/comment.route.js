@@ -1,35 +1,84 @@
 import { Router } from 'express'
 import {
   addComment,
+  deleteComment,
   getPostComments,
+  updateComment,
 } from '../controllers/comment.controller.js'
-import { verifyToken } from '../middlewares/verifyToken.validator.js'
+import {
+  validateCommentIdParam,
+  validateCommentRequest,
+  validateCommentUpdateRequest,
+  validateGetCommentsQuery,
+} from '../middlewares/comment.validator.js'
+import {
+  optionalToken,
+  requireVerifiedEmail,
+  verifyToken,
+} from '../middlewares/verifyToken.validator.js'
 
 /**
  * Router para gestionar los comentarios de la aplicación.
  *
  * Este router define las rutas para las operaciones relacionadas con los comentarios,
- * como obtener los comentarios de un post y crear un nuevo comentario.
+ * como obtener los hilos de comentarios de un post, crear, editar y eliminar comentarios.
  *
  * @module commentRouter
  */
 export const commentRouter = Router()
 
 /**
- * Obtiene todos los comentarios de un post específico.
+ * Obtiene los comentarios de primer nivel de un post específico, paginados por cursor.
+ * Con `?parent=<id>` obtiene las respuestas de un comentario. Cada comentario incluye `replyCount`.
  *
  * @name GET /comments/:postId
  * @function
  * @memberof module:commentRouter
  */
-commentRouter.get('/:postId', getPostComments)
+commentRouter.get(
+  '/:postId',
+  optionalToken,
+  validateGetCommentsQuery,
+  getPostComments
+)
 
 /**
- * Crea un nuevo comentario en un post.
- * Requiere autenticación mediante token.
+ * Crea un nuevo comentario en un post, o una respuesta si se indica `parent`.
+ * Requiere autenticación mediante token y, según `REQUIRE_VERIFIED_EMAIL`, el correo verificado.
  *
  * @name POST /comments
  * @function
  * @memberof module:commentRouter
  */
-commentRouter.post('/', verifyToken, addComment)
+commentRouter.post(
+  '/',
+  verifyToken,
+  requireVerifiedEmail,
+  validateCommentRequest,
+  addComment
+)
+
+/**
+ * Edita el contenido de un comentario. Solo puede hacerlo su autor.
+ * Requiere autenticación mediante token.
+ *
+ * @name PATCH /comments/:id
+ * @function
+ * @memberof module:commentRouter
+ */
+commentRouter.patch(
+  '/:id',
+  verifyToken,
+  validateCommentUpdateRequest,
+  updateComment
+)
+
+/**
+ * Elimina un comentario y sus respuestas. Pueden hacerlo su autor y el propietario del pin.
+ * Requiere autenticación mediante token.
+ *
+ * @name DELETE /comments/:id
+ * @function
+ * @memberof module:commentRouter
+ */
+commentRouter.delete('/:id', verifyToken, validateCommentIdParam, deleteComment)
@@ -1,16 +1,39 @@
 import { Router } from 'express'
 import {
+  batchInteractionCheck,
   createPin,
+  deletePin,
+  getFeed,
   getPin,
   getPins,
+  getRelatedPins,
+  getTrendingPins,
   interact,
   interactionCheck,
+  likePin,
+  savePin,
+  unlikePin,
+  unsavePin,
+  updatePin,
 } from '../controllers/pin.controller.js'
+import { validatePaginationQuery } from '../middlewares/pagination.validator.js'
 import {
+  validateBatchInteractionRequest,
+  validateGetPinsQuery,
+  validateInteractRequest,
   validatePinIdParam,
   validatePinRequest,
+  validatePinUpdateRequest,
+  validateRelatedPinsQuery,
+  validateSaveRequest,
+  validateTrendingPinsQuery,
+  validateUnsaveRequest,
 } from '../middlewares/pin.validator.js'
-import { verifyToken } from '../middlewares/verifyToken.validator.js'
+import {
+  optionalToken,
+  requireVerifiedEmail,
+  verifyToken,
+} from '../middlewares/verifyToken.validator.js'
 
 /**
  * Router para gestionar los pines de la aplicación.
@@ -23,13 +46,41 @@ import { verifyToken } from '../middlewares/verifyToken.validator.js'
 export const pinRouter = Router()
 
 /**
- * Obtiene todos los pines con soporte para paginación.
+ * Obtiene los pines con paginación por cursor.
+ * Admite combinar búsqueda de texto, usuario y tablero, y ordenar por relevancia,
+ * fecha, likes o guardados. Con `withViewerState=true` incluye en cada pin las
+ * interacciones del usuario autenticado.
  *
  * @name GET /pins
  * @function
  * @memberof module:pinRouter
  */
-pinRouter.get('/', getPins)
+pinRouter.get('/', optionalToken, validateGetPinsQuery, getPins)
+
+/**
+ * Obtiene el feed del usuario autenticado: los pines de los usuarios y tableros que sigue o,
+ * si no sigue a nadie, los más populares. Se declara antes de `/:id` para que no se trate como un ID.
+ *
+ * @name GET /pins/feed
+ * @function
+ * @memberof module:pinRouter
+ */
+pinRouter.get('/feed', verifyToken, validatePaginationQuery, getFeed)
+
+/**
+ * Obtiene los pines en tendencia en una ventana de tiempo (`window=24h|7d|30d`, por defecto 7d)
+ * según los likes, guardados y comentarios recientes. Se declara antes de `/:id`.
+ *
+ * @name GET /pins/trending
+ * @function
+ * @memberof module:pinRouter
+ */
+pinRouter.get(
+  '/trending',
+  optionalToken,
+  validateTrendingPinsQuery,
+  getTrendingPins
+)
 
 /**
  * Obtiene un pin específico por su ID.
@@ -38,33 +89,147 @@ pinRouter.get('/', getPins)
  * @function
  * @memberof module:pinRouter
  */
-pinRouter.get('/:id', validatePinIdParam, getPin)
+pinRouter.get('/:id', optionalToken, validatePinIdParam, getPin)
+
+/**
+ * Obtiene los pines relacionados con un pin (etiquetas, tablero, creador y guardados en común),
+ * ordenados por puntuación y paginados por cursor.
+ *
+ * @name GET /pins/:id/related
+ * @function
+ * @memberof module:pinRouter
+ */
+pinRouter.get(
+  '/:id/related',
+  optionalToken,
+  validateRelatedPinsQuery,
+  getRelatedPins
+)
 
 /**
- * Crea un nuevo pin.
+ * Crea un nuevo pin. Según `REQUIRE_VERIFIED_EMAIL`, exige que el usuario haya verificado su correo.
  *
  * @name POST /pins
  * @function
  * @memberof module:pinRouter
  */
-pinRouter.post('/', verifyToken, validatePinRequest, createPin)
+pinRouter.post(
+  '/',
+  verifyToken,
+  requireVerifiedEmail,
+  validatePinRequest,
+  createPin
+)
+
+/**
+ * Actualiza el título, la descripción, el enlace, las etiquetas o el tablero de un pin.
+ * Solo el creador del pin puede modificarlo.
+ *
+ * @name PATCH /pins/:id
+ * @function
+ * @memberof module:pinRouter
+ */
+pinRouter.patch(
+  '/:id',
+  verifyToken,
+  validatePinIdParam,
+  validatePinUpdateRequest,
+  updatePin
+)
+
+/**
+ * Elimina un pin junto con sus likes, guardados, comentarios y el archivo subido.
+ * Solo el creador del pin puede eliminarlo.
+ *
+ * @name DELETE /pins/:id
+ * @function
+ * @memberof module:pinRouter
+ */
+pinRouter.delete('/:id', verifyToken, validatePinIdParam, deletePin)
 
 /**
  * Verifica la interacción de un usuario con un pin específico.
- * Obtiene el contador de likes y si el usuario autenticado ha dado like o guardado el pin.
+ * Obtiene los contadores de likes y guardados, si el usuario autenticado ha dado like o
+ * guardado el pin y en qué tableros lo ha guardado.
  *
  * @name GET /pins/interaction-check/:id
  * @function
  * @memberof module:pinRouter
  */
-pinRouter.get('/interaction-check/:id', interactionCheck)
+pinRouter.get(
+  '/interaction-check/:id',
+  optionalToken,
+  validatePinIdParam,
+  interactionCheck
+)
+
+/**
+ * Verifica la interacción del usuario con varios pines a la vez (`ids` en el cuerpo).
+ * Devuelve los contadores y el estado del usuario autenticado para cada pin.
+ *
+ * @name POST /pins/interaction-check
+ * @function
+ * @memberof module:pinRouter
+ */
+pinRouter.post(
+  '/interaction-check',
+  optionalToken,
+  validateBatchInteractionRequest,
+  batchInteractionCheck
+)
+
+/**
+ * Da like a un pin. Es idempotente y devuelve `isLiked` y `likeCount`.
+ *
+ * @name PUT /pins/:id/like
+ * @function
+ * @memberof module:pinRouter
+ */
+pinRouter.put('/:id/like', verifyToken, validatePinIdParam, likePin)
+
+/**
+ * Quita el like a un pin. Es idempotente y devuelve `isLiked` y `likeCount`.
+ *
+ * @name DELETE /pins/:id/like
+ * @function
+ * @memberof module:pinRouter
+ */
+pinRouter.delete('/:id/like', verifyToken, validatePinIdParam, unlikePin)
+
+/**
+ * Guarda un pin en el perfil y, opcionalmente, en un tablero (`board`) o en un tablero
+ * nuevo (`newBoard`). Es idempotente y devuelve `isSaved`, `saveCount` y `savedBoards`.
+ *
+ * @name PUT /pins/:id/save
+ * @function
+ * @memberof module:pinRouter
+ */
+pinRouter.put('/:id/save', verifyToken, validateSaveRequest, savePin)
+
+/**
+ * Quita un pin guardado de un tablero (`?board=`) o, sin tablero, por completo.
+ * Es idempotente y devuelve `isSaved`, `saveCount` y `savedBoards`.
+ *
+ * @name DELETE /pins/:id/save
+ * @function
+ * @memberof module:pinRouter
+ */
+pinRouter.delete('/:id/save', verifyToken, validateUnsaveRequest, unsavePin)
 
 /**
  * Permite al usuario interactuar con un pin (dar like o guardar).
+ * Al guardar se puede indicar un tablero (`board`) o crear uno nuevo (`newBoard`).
+ * Alterna el estado según el estado previo; se mantiene por compatibilidad con las
+ * operaciones explícitas `PUT`/`DELETE` de `/pins/:id/like` y `/pins/:id/save`.
  * Requiere autenticación mediante token.
  *
  * @name POST /pins/interact/:id
  * @function
  * @memberof module:pinRouter
  */
-pinRouter.post('/interact/:id', verifyToken, interact)
+pinRouter.post(
+  '/interact/:id',
+  verifyToken,
+  validateInteractRequest,
+  interact
+)
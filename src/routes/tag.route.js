@@ -0,0 +1,20 @@
+import { Router } from 'express'
+import { getTrendingTags } from '../controllers/tag.controller.js'
+import { validateTrendingTagsQuery } from '../middlewares/tag.validator.js'
+
+/**
+ * Router para las etiquetas de los pines.
+ *
+ * @module tagRouter
+ */
+export const tagRouter = Router()
+
+/**
+ * Obtiene las etiquetas en tendencia en una ventana de tiempo (`window=24h|7d|30d`, por defecto 7d):
+ * las que más actividad han ganado respecto a la ventana anterior.
+ *
+ * @name GET /tags/trending
+ * @function
+ * @memberof module:tagRouter
+ */
+tagRouter.get('/trending', validateTrendingTagsQuery, getTrendingTags)
@@ -1,22 +1,116 @@
 import { Router } from 'express'
 import {
+  changePassword,
+  checkUsernameAvailability,
   followUser,
+  forgotPassword,
+  getFollowers,
+  getFollowing,
   getUser,
+  getUserLikes,
+  getUserSaves,
   loginUser,
   logoutUser,
   registerUser,
+  resendVerification,
+  resetPassword,
+  updateAvatar,
+  updatePrivacySettings,
+  updateProfile,
+  verifyEmail,
 } from '../controllers/user.controller.js'
 import {
+  validateAvailabilityQuery,
+  validateChangePasswordRequest,
+  validateFollowRequest,
+  validateForgotPasswordRequest,
   validateGetUserParams,
   validateLoginRequest,
+  validatePrivacyRequest,
+  validateProfileUpdateRequest,
+  validateResetPasswordRequest,
+  validateUserListQuery,
   validateUserRequest,
+  validateVerifyEmailRequest,
 } from '../middlewares/user.validator.js'
-import { verifyToken } from '../middlewares/verifyToken.validator.js'
+import {
+  optionalToken,
+  verifyToken,
+} from '../middlewares/verifyToken.validator.js'
 
 export const userRouter = Router()
 
 userRouter.post('/auth/register', validateUserRequest, registerUser)
 userRouter.post('/auth/login', validateLoginRequest, loginUser)
-userRouter.get('/:username', validateGetUserParams, getUser)
-userRouter.post('/follow/:username', verifyToken, validateGetUserParams, followUser)
+userRouter.post(
+  '/auth/forgot-password',
+  validateForgotPasswordRequest,
+  forgotPassword
+)
+userRouter.post(
+  '/auth/reset-password',
+  validateResetPasswordRequest,
+  resetPassword
+)
+userRouter.post(
+  '/auth/verify-email',
+  validateVerifyEmailRequest,
+  verifyEmail
+)
+userRouter.post('/auth/resend-verification', verifyToken, resendVerification)
+userRouter.get(
+  '/availability',
+  validateAvailabilityQuery,
+  checkUsernameAvailability
+)
+userRouter.patch(
+  '/me',
+  verifyToken,
+  validateProfileUpdateRequest,
+  updateProfile
+)
+userRouter.put('/me/avatar', verifyToken, updateAvatar)
+userRouter.patch(
+  '/me/password',
+  verifyToken,
+  validateChangePasswordRequest,
+  changePassword
+)
+userRouter.patch(
+  '/me/privacy',
+  verifyToken,
+  validatePrivacyRequest,
+  updatePrivacySettings
+)
+userRouter.get('/:username', optionalToken, validateGetUserParams, getUser)
+userRouter.get(
+  '/:username/likes',
+  optionalToken,
+  validateUserListQuery,
+  getUserLikes
+)
+userRouter.get(
+  '/:username/saves',
+  optionalToken,
+  validateUserListQuery,
+  getUserSaves
+)
+userRouter.get(
+  '/:username/followers',
+  optionalToken,
+  validateUserListQuery,
+  getFollowers
+)
+userRouter.get(
+  '/:username/following',
+  optionalToken,
+  validateUserListQuery,
+  getFollowing
+)
+userRouter.post(
+  '/follow/:username',
+  verifyToken,
+  validateFollowRequest,
+  followUser
+)
 userRouter.post('/auth/logout', logoutUser)
@@ -0,0 +1,58 @@
+/* eslint-disable no-undef */
+
+import { disconnect } from 'mongoose'
+import User from '../models/user.model.js'
+import { dbConnect } from '../utils/db.js'
+import { error, info, warn } from '../utils/logger.js'
+
+const NORMALIZED_EMAIL = { $toLower: { $trim: { input: '$email' } } }
+
+/**
+ * Pasa a minúsculas los correos electrónicos guardados antes de que el modelo los normalizara,
+ * para que el inicio de sesión los encuentre y el índice único pueda crearse.
+ *
+ * Los correos que colisionan al normalizarlos no se modifican y se listan para resolverlos a mano.
+ *
+ * Uso: `npm run normalize:emails`
+ */
+const run = async () => {
+  await dbConnect()
+
+  try {
+    const duplicates = await User.aggregate([
+      { $group: { _id: NORMALIZED_EMAIL, count: { $sum: 1 } } },
+      { $match: { count: { $gt: 1 } } },
+    ])
+
+    const duplicateEmails = duplicates.map(({ _id }) => _id)
+
+    if (duplicateEmails.length) {
+      warn('Correos duplicados sin distinguir mayúsculas', { duplicateEmails })
+    }
+
+    const { modifiedCount } = await User.collection.updateMany(
+      {
+        $expr: {
+          $and: [
+            { $ne: ['$email', NORMALIZED_EMAIL] },
+            { $not: { $in: [NORMALIZED_EMAIL, duplicateEmails] } },
+          ],
+        },
+      },
+      [{ $set: { email: NORMALIZED_EMAIL } }]
+    )
+
+    info('Correos normalizados', { modifiedCount })
+  } catch (err) {
+    error('Error al normalizar los correos', {
+      error: err.message,
+      stack: err.stack,
+    })
+
+    process.exitCode = 1
+  } finally {
+    await disconnect()
+  }
+}
+
+run()
@@ -0,0 +1,37 @@
+/* eslint-disable no-undef */
+
+import { disconnect } from 'mongoose'
+import {
+  reconcilePinCounters,
+  reconcileUserCounters,
+} from '../services/counter.service.js'
+import { dbConnect } from '../utils/db.js'
+import { error, info } from '../utils/logger.js'
+
+/**
+ * Recalcula los contadores desnormalizados de pines y usuarios a partir de las colecciones
+ * de likes, guardados, comentarios y seguimientos.
+ *
+ * Uso: `npm run reconcile:counters`
+ */
+const run = async () => {
+  await dbConnect()
+
+  try {
+    const pins = await reconcilePinCounters()
+    const users = await reconcileUserCounters()
+
+    info('Contadores reconciliados', { pins, users })
+  } catch (err) {
+    error('Error al reconciliar los contadores', {
+      error: err.message,
+      stack: err.stack,
+    })
+
+    process.exitCode = 1
+  } finally {
+    await disconnect()
+  }
+}
+
+run()
@@ -0,0 +1,146 @@
+/* eslint-disable no-undef */
+
+import { disconnect } from 'mongoose'
+import Follow from '../models/follow.model.js'
+import Like from '../models/like.model.js'
+import Save from '../models/save.model.js'
+import {
+  reconcilePinCounters,
+  reconcileUserCounters,
+} from '../services/counter.service.js'
+import { dbConnect } from '../utils/db.js'
+import { error, info } from '../utils/logger.js'
+
+/**
+ * Une los tableros de varios guardados conservando la fecha más antigua de cada tablero.
+ *
+ * @private
+ * @param {Array<Array<{board: import('mongoose').Types.ObjectId, savedAt: Date}>>} boardLists - Tableros de cada guardado.
+ * @returns {Array<{board: import('mongoose').Types.ObjectId, savedAt: Date}>} Tableros sin repetir.
+ */
+const mergeBoards = (boardLists) => {
+  const boards = new Map()
+
+  boardLists.flat().forEach(({ board, savedAt }) => {
+    const current = boards.get(String(board))
+
+    if (!current || savedAt < current.savedAt) {
+      boards.set(String(board), { board, savedAt })
+    }
+  })
+
+  return [...boards.values()]
+}
+
+/**
+ * Elimina los documentos duplicados de un modelo de interacción.
+ *
+ * @private
+ * @async
+ * @param {import('mongoose').Model} InteractionModel - Modelo de la interacción.
+ * @param {Object} [options] - Opciones.
+ * @param {string[]} [options.keyFields=['user', 'pin']] - Campos que identifican la interacción.
+ * @param {boolean} [options.withBoards=false] - Une los `boards` de los duplicados en el documento conservado.
+ * @returns {Promise<number>} Número de documentos eliminados.
+ */
+const removeDuplicates = async (
+  InteractionModel,
+  { keyFields = ['user', 'pin'], withBoards = false } = {}
+) => {
+  const cursor = InteractionModel.aggregate([
+    { $sort: { createdAt: 1, _id: 1 } },
+    {
+      $group: {
+        _id: Object.fromEntries(keyFields.map((field) => [field, `$${field}`])),
+        ids: { $push: '$_id' },
+        ...(withBoards && {
+          boards: { $push: { $ifNull: ['$boards', []] } },
+        }),
+      },
+    },
+    { $match: { 'ids.1': { $exists: true } } },
+  ])
+    .allowDiskUse(true)
+    .cursor()
+
+  let operations = []
+  let deletedCount = 0
+
+  const flush = async () => {
+    if (!operations.length) return
+
+    deletedCount += (await InteractionModel.bulkWrite(operations)).deletedCount
+    operations = []
+  }
+
+  for await (const group of cursor) {
+    const [keptId, ...duplicateIds] = group.ids
+
+    if (withBoards) {
+      operations.push({
+        updateOne: {
+          filter: { _id: keptId },
+          update: { $set: { boards: mergeBoards(group.boards) } },
+        },
+      })
+    }
+
+    operations.push({ deleteMany: { filter: { _id: { $in: duplicateIds } } } })
+
+    if (operations.length >= 1000) await flush()
+  }
+
+  await flush()
+
+  return deletedCount
+}
+
+/**
+ * Elimina los likes y guardados duplicados de un mismo usuario y pin y los seguimientos
+ * duplicados entre dos usuarios, creados antes de existir los índices únicos, y después crea
+ * esos índices y recalcula los contadores de pines y usuarios.
+ *
+ * De cada grupo se conserva el documento más antiguo. En los guardados, sus `boards` pasan a
+ * ser la unión de los de todo el grupo, con la fecha de guardado más antigua de cada tablero.
+ *
+ * Uso: `npm run dedupe:interactions`
+ */
+const run = async () => {
+  await dbConnect()
+
+  try {
+    const likes = await removeDuplicates(Like)
+    const saves = await removeDuplicates(Save, { withBoards: true })
+    const follows = await removeDuplicates(Follow, {
+      keyFields: ['follower', 'following'],
+    })
+
+    await Promise.all([
+      Like.createIndexes(),
+      Save.createIndexes(),
+      Follow.createIndexes(),
+    ])
+
+    const pins = await reconcilePinCounters()
+    const users = await reconcileUserCounters()
+
+    info('Interacciones duplicadas eliminadas', {
+      likes,
+      saves,
+      follows,
+      pins,
+      users,
+    })
+  } catch (err) {
+    error('Error al eliminar las interacciones duplicadas', {
+      error: err.message,
+      stack: err.stack,
+    })
+
+    process.exitCode = 1
+  } finally {
+    await disconnect()
+  }
+}
+
+run()
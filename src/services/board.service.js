@@ -0,0 +1,173 @@
+import Board from '../models/board.model.js'
+import Pin from '../models/pin.model.js'
+
+/**
+ * Reglas de acceso a tableros compartidas por varios controladores.
+ *
+ * Los miembros de un tablero son su propietario y los colaboradores que aceptaron la
+ * invitación, con rol `editor` (puede añadir y quitar pines) o `viewer` (solo lectura).
+ *
+ * Los pines guardan una copia de la visibilidad de su tablero en el campo `secret`,
+ * de modo que los listados pueden filtrar sin consultar todos los tableros secretos.
+ *
+ * @module boardService
+ */
+
+/**
+ * Filtro de los tableros en los que el usuario es colaborador con la invitación aceptada.
+ *
+ * @private
+ * @param {string} userId - ID del usuario.
+ * @returns {Object} Filtro de MongoDB sobre la colección de tableros.
+ */
+const acceptedCollaboratorFilter = (userId) => ({
+  collaborators: { $elemMatch: { user: userId, status: 'accepted' } },
+})
+
+/**
+ * Obtiene el rol del usuario en el tablero.
+ *
+ * @param {Object} board - Tablero a comprobar.
+ * @param {string} [userId] - ID del usuario.
+ * @returns {'owner'|'editor'|'viewer'|null} Rol del usuario o `null` si no es miembro.
+ */
+export const getBoardRole = (board, userId) => {
+  if (!userId) return null
+
+  if (board.user.toString() === userId.toString()) return 'owner'
+
+  const collaborator = board.collaborators?.find(
+    (item) =>
+      item.user.toString() === userId.toString() && item.status === 'accepted'
+  )
+
+  return collaborator ? collaborator.role : null
+}
+
+/**
+ * Indica si el usuario es miembro del tablero: su propietario o un colaborador que aceptó la invitación.
+ *
+ * @param {Object} board - Tablero a comprobar.
+ * @param {string} [userId] - ID del usuario.
+ * @returns {boolean} `true` si el usuario es miembro del tablero.
+ */
+export const isBoardMember = (board, userId) =>
+  getBoardRole(board, userId) !== null
+
+/**
+ * Indica si el usuario puede añadir y quitar pines del tablero (propietario o editor).
+ *
+ * @param {Object} board - Tablero a comprobar.
+ * @param {string} [userId] - ID del usuario.
+ * @returns {boolean} `true` si el usuario puede editar los pines del tablero.
+ */
+export const canEditBoardPins = (board, userId) =>
+  ['owner', 'editor'].includes(getBoardRole(board, userId))
+
+/**
+ * Indica si el usuario puede ver el tablero: los tableros públicos son visibles para
+ * todos y los secretos solo para sus miembros.
+ *
+ * @param {Object} board - Tablero a comprobar.
+ * @param {string} [userId] - ID del usuario o vacío si es anónimo.
+ * @returns {boolean} `true` si el usuario puede ver el tablero.
+ */
+export const canViewBoard = (board, userId) =>
+  board.visibility !== 'secret' || isBoardMember(board, userId)
+
+/**
+ * Busca un tablero en el que el usuario puede añadir pines.
+ *
+ * @async
+ * @param {string} boardId - ID del tablero.
+ * @param {string} userId - ID del usuario.
+ * @returns {Promise<import('mongoose').Document|null>} El tablero o `null` si no existe o el usuario no puede añadir pines.
+ */
+export const findPinnableBoard = async (boardId, userId) => {
+  const board = await Board.findById(boardId)
+
+  return board && canEditBoardPins(board, userId) ? board : null
+}
+
+/**
+ * Obtiene los IDs de los tableros secretos que el usuario puede ver.
+ *
+ * @async
+ * @param {string} [userId] - ID del usuario.
+ * @returns {Promise<import('mongoose').Types.ObjectId[]>} IDs de los tableros secretos accesibles.
+ */
+export const getAccessibleSecretBoardIds = async (userId) => {
+  if (!userId) return []
+
+  return Board.find({
+    visibility: 'secret',
+    $or: [{ user: userId }, acceptedCollaboratorFilter(userId)],
+  }).distinct('_id')
+}
+
+/**
+ * Construye el filtro de tableros visibles para el usuario.
+ *
+ * @param {string} [userId] - ID del usuario o vacío si es anónimo.
+ * @returns {Object} Filtro de MongoDB sobre la colección de tableros.
+ */
+export const buildBoardVisibilityFilter = (userId) =>
+  userId
+    ? {
+        $or: [
+          { visibility: { $ne: 'secret' } },
+          { user: userId },
+          acceptedCollaboratorFilter(userId),
+        ],
+      }
+    : { visibility: { $ne: 'secret' } }
+
+/**
+ * Construye el filtro de pines visibles para el usuario: los que no están en un tablero
+ * secreto y los de los tableros secretos a los que tiene acceso.
+ *
+ * El filtro usa ObjectId, por lo que también sirve en agregaciones.
+ *
+ * @async
+ * @param {string} [userId] - ID del usuario o vacío si es anónimo.
+ * @returns {Promise<Object>} Filtro de MongoDB sobre la colección de pines.
+ */
+export const buildPinVisibilityFilter = async (userId) => {
+  const secretBoardIds = await getAccessibleSecretBoardIds(userId)
+
+  if (!secretBoardIds.length) return { secret: { $ne: true } }
+
+  return {
+    $or: [{ secret: { $ne: true } }, { board: { $in: secretBoardIds } }],
+  }
+}
+
+/**
+ * Indica si el usuario puede ver el pin según la visibilidad de su tablero.
+ *
+ * @async
+ * @param {Object} pin - Pin a comprobar.
+ * @param {string} [userId] - ID del usuario o vacío si es anónimo.
+ * @returns {Promise<boolean>} `true` si el usuario puede ver el pin.
+ */
+export const canViewPin = async (pin, userId) => {
+  if (!pin.secret) return true
+
+  const board = await Board.findById(pin.board)
+
+  return Boolean(board) && canViewBoard(board, userId)
+}
+
+/**
+ * Copia la visibilidad del tablero a todos sus pines.
+ *
+ * @async
+ * @param {Object} board - Tablero cuya visibilidad se propaga.
+ * @returns {Promise<void>}
+ */
+export const syncBoardPinsVisibility = async (board) => {
+  await Pin.updateMany(
+    { board: board._id },
+    { $set: { secret: board.visibility === 'secret' } }
+  )
+}
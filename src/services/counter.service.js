@@ -0,0 +1,151 @@
+import Comment from '../models/comment.model.js'
+import Follow from '../models/follow.model.js'
+import Like from '../models/like.model.js'
+import Pin from '../models/pin.model.js'
+import Save from '../models/save.model.js'
+import User from '../models/user.model.js'
+
+/**
+ * Contadores desnormalizados de pines y usuarios.
+ *
+ * Los controladores actualizan los contadores con `$inc` al crear o eliminar la interacción
+ * correspondiente. Si alguna actualización se pierde (por ejemplo, por un error entre las dos
+ * escrituras), las funciones de reconciliación los recalculan a partir de las colecciones de origen.
+ *
+ * @module counterService
+ */
+
+/**
+ * Suma `amount` a un contador de un pin.
+ *
+ * @async
+ * @param {import('mongoose').Types.ObjectId|string} pinId - ID del pin.
+ * @param {'likeCount'|'saveCount'|'commentCount'} field - Contador a modificar.
+ * @param {number} amount - Cantidad a sumar (negativa para restar).
+ * @returns {Promise<void>}
+ */
+export const incrementPinCounter = async (pinId, field, amount) => {
+  await Pin.updateOne({ _id: pinId }, { $inc: { [field]: amount } })
+}
+
+/**
+ * Actualiza los contadores de seguimiento de los dos usuarios de una relación.
+ *
+ * @async
+ * @param {import('mongoose').Types.ObjectId|string} followerId - ID del usuario que sigue.
+ * @param {import('mongoose').Types.ObjectId|string} followingId - ID del usuario seguido.
+ * @param {1|-1} amount - 1 al empezar a seguir, -1 al dejar de seguir.
+ * @returns {Promise<void>}
+ */
+export const incrementFollowCounters = async (
+  followerId,
+  followingId,
+  amount
+) => {
+  await User.bulkWrite([
+    {
+      updateOne: {
+        filter: { _id: followerId },
+        update: { $inc: { followingCount: amount } },
+      },
+    },
+    {
+      updateOne: {
+        filter: { _id: followingId },
+        update: { $inc: { followerCount: amount } },
+      },
+    },
+  ])
+}
+
+/**
+ * Cuenta los documentos de una colección agrupados por un campo.
+ *
+ * @private
+ * @async
+ * @param {import('mongoose').Model} SourceModel - Modelo de la colección de origen.
+ * @param {string} field - Campo por el que se agrupa.
+ * @returns {Promise<Map<string, number>>} Número de documentos por valor del campo.
+ */
+const countBy = async (SourceModel, field) => {
+  const counts = await SourceModel.aggregate([
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  ])
+
+  return new Map(counts.map(({ _id, count }) => [String(_id), count]))
+}
+
+/**
+ * Escribe los contadores recalculados en los documentos cuyo valor almacenado no coincide.
+ *
+ * @private
+ * @async
+ * @param {import('mongoose').Model} TargetModel - Modelo de los documentos a corregir.
+ * @param {Object<string, Map<string, number>>} countsByField - Contadores calculados por campo.
+ * @returns {Promise<number>} Número de documentos corregidos.
+ */
+const writeCounters = async (TargetModel, countsByField) => {
+  const fields = Object.keys(countsByField)
+  const cursor = TargetModel.find({}, fields.join(' ')).lean().cursor()
+
+  let operations = []
+  let modifiedCount = 0
+
+  for await (const doc of cursor) {
+    const update = {}
+
+    fields.forEach((field) => {
+      const count = countsByField[field].get(String(doc._id)) || 0
+
+      if (doc[field] !== count) update[field] = count
+    })
+
+    if (Object.keys(update).length) {
+      operations.push({
+        updateOne: { filter: { _id: doc._id }, update: { $set: update } },
+      })
+    }
+
+    if (operations.length >= 1000) {
+      modifiedCount += (await TargetModel.bulkWrite(operations)).modifiedCount
+      operations = []
+    }
+  }
+
+  if (operations.length) {
+    modifiedCount += (await TargetModel.bulkWrite(operations)).modifiedCount
+  }
+
+  return modifiedCount
+}
+
+/**
+ * Recalcula `likeCount`, `saveCount` y `commentCount` de todos los pines.
+ *
+ * @async
+ * @returns {Promise<number>} Número de pines corregidos.
+ */
+export const reconcilePinCounters = async () => {
+  const [likeCount, saveCount, commentCount] = await Promise.all([
+    countBy(Like, 'pin'),
+    countBy(Save, 'pin'),
+    countBy(Comment, 'pin'),
+  ])
+
+  return writeCounters(Pin, { likeCount, saveCount, commentCount })
+}
+
+/**
+ * Recalcula `followerCount` y `followingCount` de todos los usuarios.
+ *
+ * @async
+ * @returns {Promise<number>} Número de usuarios corregidos.
+ */
+export const reconcileUserCounters = async () => {
+  const [followerCount, followingCount] = await Promise.all([
+    countBy(Follow, 'following'),
+    countBy(Follow, 'follower'),
+  ])
+
+  return writeCounters(User, { followerCount, followingCount })
+}
@@ -0,0 +1,119 @@
+import Like from '../models/like.model.js'
+import Save from '../models/save.model.js'
+import { incrementPinCounter } from './counter.service.js'
+
+/**
+ * Operaciones idempotentes de likes y guardados.
+ *
+ * Cada operación deja la interacción en el estado pedido sin importar el estado previo, de
+ * modo que repetirla (doble clic, reintentos) no crea duplicados ni deshace la anterior. Los
+ * índices únicos `(user, pin)` de `Like` y `Save` garantizan la unicidad ante peticiones
+ * simultáneas, y los contadores del pin solo cambian cuando la operación modifica algo.
+ *
+ * @module interactionService
+ */
+
+/**
+ * Crea el documento de la interacción si no existe.
+ *
+ * El modelo debe tener un índice único sobre los campos del filtro; también se usa para los
+ * seguimientos de usuarios y tableros.
+ *
+ * @async
+ * @param {import('mongoose').Model} InteractionModel - Modelo de la interacción (por ejemplo, Like o Save).
+ * @param {Object} filter - Filtro de la interacción, por ejemplo `{ pin, user }`.
+ * @returns {Promise<boolean>} `true` si se ha creado el documento.
+ */
+export const ensureInteraction = async (InteractionModel, filter) => {
+  try {
+    const result = await InteractionModel.updateOne(filter, {}, { upsert: true })
+
+    return result.upsertedCount > 0
+  } catch (err) {
+    // Otra petición simultánea ha creado el mismo documento
+    if (err.code === 11000) return false
+
+    throw err
+  }
+}
+
+/**
+ * Da like a un pin.
+ *
+ * @async
+ * @param {import('mongoose').Types.ObjectId|string} pinId - ID del pin.
+ * @param {string} userId - ID del usuario.
+ * @returns {Promise<void>}
+ */
+export const addLike = async (pinId, userId) => {
+  const created = await ensureInteraction(Like, { pin: pinId, user: userId })
+
+  if (created) await incrementPinCounter(pinId, 'likeCount', 1)
+}
+
+/**
+ * Quita el like de un usuario a un pin.
+ *
+ * @async
+ * @param {import('mongoose').Types.ObjectId|string} pinId - ID del pin.
+ * @param {string} userId - ID del usuario.
+ * @returns {Promise<void>}
+ */
+export const removeLike = async (pinId, userId) => {
+  const { deletedCount } = await Like.deleteOne({ pin: pinId, user: userId })
+
+  if (deletedCount) await incrementPinCounter(pinId, 'likeCount', -1)
+}
+
+/**
+ * Guarda un pin en el perfil del usuario y, si se indica, en uno de sus tableros.
+ *
+ * @async
+ * @param {import('mongoose').Types.ObjectId|string} pinId - ID del pin.
+ * @param {string} userId - ID del usuario.
+ * @param {import('mongoose').Types.ObjectId|null} [boardId] - Tablero en el que se guarda.
+ * @returns {Promise<void>}
+ */
+export const addSave = async (pinId, userId, boardId = null) => {
+  const created = await ensureInteraction(Save, { pin: pinId, user: userId })
+
+  if (created) await incrementPinCounter(pinId, 'saveCount', 1)
+
+  if (boardId) {
+    await Save.updateOne(
+      { pin: pinId, user: userId, 'boards.board': { $ne: boardId } },
+      { $push: { boards: { board: boardId, savedAt: new Date() } } }
+    )
+  }
+}
+
+/**
+ * Quita un pin guardado. Con tablero solo lo quita de ese tablero, y el pin deja de estar
+ * guardado cuando no queda en ningún tablero; sin tablero lo quita del perfil y de todos
+ * los tableros del usuario.
+ *
+ * @async
+ * @param {import('mongoose').Types.ObjectId|string} pinId - ID del pin.
+ * @param {string} userId - ID del usuario.
+ * @param {import('mongoose').Types.ObjectId|string|null} [boardId] - Tablero del que se quita.
+ * @returns {Promise<void>}
+ */
+export const removeSave = async (pinId, userId, boardId = null) => {
+  if (boardId) {
+    const save = await Save.findOneAndUpdate(
+      { pin: pinId, user: userId, 'boards.board': boardId },
+      { $pull: { boards: { board: boardId } } },
+      { new: true }
+    )
+
+    if (!save || save.boards.length) return
+  }
+
+  const { deletedCount } = await Save.deleteOne({
+    pin: pinId,
+    user: userId,
+    ...(boardId && { boards: { $size: 0 } }),
+  })
+
+  if (deletedCount) await incrementPinCounter(pinId, 'saveCount', -1)
+}
@@ -0,0 +1,347 @@
+import Board from '../models/board.model.js'
+import Comment from '../models/comment.model.js'
+import Like from '../models/like.model.js'
+import Pin from '../models/pin.model.js'
+import Save from '../models/save.model.js'
+import { getMediaUrl, storage } from '../storage/storage.js'
+import { warn } from '../utils/logger.js'
+
+/**
+ * Operaciones sobre pines compartidas por varios controladores.
+ *
+ * @module pinService
+ */
+
+/**
+ * Añade la URL pública del archivo a un pin obtenido como objeto plano (por ejemplo, desde una agregación).
+ *
+ * @param {Object} pin - Pin sin la propiedad virtual `mediaUrl`.
+ * @returns {Object} Pin con la propiedad `mediaUrl`.
+ */
+export const withMediaUrl = (pin) => ({
+  ...pin,
+  mediaUrl: getMediaUrl(pin.media),
+})
+
+/**
+ * Estado de las interacciones del usuario autenticado con un pin.
+ *
+ * @typedef {Object} ViewerState
+ * @property {boolean} isLiked - Indica si el usuario ha dado like al pin.
+ * @property {boolean} isSaved - Indica si el usuario ha guardado el pin.
+ * @property {import('mongoose').Types.ObjectId[]} savedBoards - Tableros en los que el usuario ha guardado el pin.
+ */
+
+/**
+ * Obtiene el estado de las interacciones de un usuario con varios pines en dos consultas.
+ *
+ * @async
+ * @param {Array<import('mongoose').Types.ObjectId|string>} pinIds - IDs de los pines.
+ * @param {string} [userId] - ID del usuario o vacío si es anónimo.
+ * @returns {Promise<Map<string, ViewerState>>} Estado de cada pin indexado por su ID.
+ */
+export const getViewerStates = async (pinIds, userId) => {
+  const [likedPinIds, saves] = userId
+    ? await Promise.all([
+        Like.distinct('pin', { user: userId, pin: { $in: pinIds } }),
+        Save.find({ user: userId, pin: { $in: pinIds } }, 'pin boards').lean(),
+      ])
+    : [[], []]
+
+  const liked = new Set(likedPinIds.map(String))
+  const savesByPin = new Map(saves.map((save) => [String(save.pin), save]))
+
+  return new Map(
+    pinIds.map((pinId) => {
+      const save = savesByPin.get(String(pinId))
+
+      return [
+        String(pinId),
+        {
+          isLiked: liked.has(String(pinId)),
+          isSaved: Boolean(save),
+          savedBoards: save ? save.boards.map(({ board }) => board) : [],
+        },
+      ]
+    })
+  )
+}
+
+/**
+ * Quita los pines indicados como portada de los tableros que los usan.
+ *
+ * @async
+ * @param {Array<import('mongoose').Types.ObjectId|string>} pinIds - IDs de los pines.
+ * @param {import('mongoose').Types.ObjectId|string} [exceptBoardId] - Tablero que conserva la portada (por ejemplo, el tablero al que se mueven los pines).
+ * @returns {Promise<void>}
+ */
+export const clearBoardCovers = async (pinIds, exceptBoardId) => {
+  await Board.updateMany(
+    {
+      cover: { $in: pinIds },
+      ...(exceptBoardId && { _id: { $ne: exceptBoardId } }),
+    },
+    { $set: { cover: null } }
+  )
+}
+
+/**
+ * Elimina pines junto con sus likes, guardados y comentarios, los retira como portada de
+ * tableros y borra sus archivos del almacenamiento.
+ *
+ * Los archivos se borran al final y los fallos en ese paso solo se registran, ya que los
+ * pines dejan de ser accesibles igualmente.
+ *
+ * @async
+ * @param {Array<{_id: import('mongoose').Types.ObjectId, media: string}>} pins - Pines a eliminar.
+ * @returns {Promise<void>}
+ */
+export const deletePinsWithRelations = async (pins) => {
+  if (!pins.length) return
+
+  const pinIds = pins.map((pin) => pin._id)
+
+  await Promise.all([
+    Like.deleteMany({ pin: { $in: pinIds } }),
+    Save.deleteMany({ pin: { $in: pinIds } }),
+    Comment.deleteMany({ pin: { $in: pinIds } }),
+    clearBoardCovers(pinIds),
+  ])
+
+  await Pin.deleteMany({ _id: { $in: pinIds } })
+
+  const results = await Promise.allSettled(
+    pins.map((pin) => storage.remove(pin.media))
+  )
+
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      warn('No se pudo eliminar el archivo del pin', {
+        media: pins[index].media,
+        error: result.reason?.message,
+      })
+    }
+  })
+}
+
+/**
+ * Separación entre posiciones consecutivas al redistribuir los pines de un tablero.
+ *
+ * @type {number}
+ */
+const POSITION_STEP = 1000
+
+/**
+ * Distancia mínima entre dos posiciones antes de redistribuir el tablero.
+ *
+ * @type {number}
+ */
+const MIN_POSITION_GAP = 1e-6
+
+/**
+ * Devuelve la posición que coloca un pin al principio de su tablero.
+ *
+ * Las posiciones se ordenan de mayor a menor, por lo que basta con usar la marca de
+ * tiempo actual: coincide con el orden por defecto de los pines sin posición, que usan
+ * su fecha de creación (ver `buildBoardPositionStage`).
+ *
+ * @returns {number} Posición del pin.
+ */
+export const getTopPosition = () => Date.now()
+
+/**
+ * Construye la etapa que añade a los pines propios de uno o varios tableros los pines
+ * guardados en ellos.
+ *
+ * Los guardados de los tableros se obtienen con el índice `boards.board` de `Save` y se unen
+ * con sus pines, que conservan en `boardSavedAt` la fecha en que se guardaron (la más reciente
+ * si se guardó el mismo pin varias veces). Los pines que ya pertenecen a alguno de los tableros
+ * se omiten porque los aporta la etapa `$match` previa.
+ *
+ * @param {import('mongoose').Types.ObjectId|import('mongoose').Types.ObjectId[]} boardIds - ID o IDs de los tableros.
+ * @param {Object} pinFilter - Filtro que deben cumplir los pines guardados (visibilidad, creador...).
+ * @returns {Object} Etapa `$unionWith`.
+ */
+export const buildBoardSavedPinsUnionStage = (boardIds, pinFilter) => {
+  const boardFilter = { $in: [boardIds].flat() }
+
+  return {
+    $unionWith: {
+      coll: Save.collection.name,
+      pipeline: [
+        { $match: { 'boards.board': boardFilter } },
+        { $unwind: '$boards' },
+        { $match: { 'boards.board': boardFilter } },
+        { $group: { _id: '$pin', boardSavedAt: { $max: '$boards.savedAt' } } },
+        {
+          $lookup: {
+            from: Pin.collection.name,
+            localField: '_id',
+            foreignField: '_id',
+            as: 'pin',
+            pipeline: [
+              { $match: { ...pinFilter, board: { $nin: boardFilter.$in } } },
+            ],
+          },
+        },
+        { $unwind: '$pin' },
+        {
+          $replaceWith: {
+            $mergeObjects: ['$pin', { boardSavedAt: '$boardSavedAt' }],
+          },
+        },
+      ],
+    },
+  }
+}
+
+/**
+ * Construye las etapas que, a partir de un conjunto de pines ya filtrado (por ejemplo, por una
+ * búsqueda de texto, que no puede usarse dentro de `$unionWith`), conservan solo los del
+ * tablero y los guardados en él, con `boardSavedAt` como en `buildBoardSavedPinsUnionStage`.
+ *
+ * @param {import('mongoose').Types.ObjectId} boardId - ID del tablero.
+ * @returns {Object[]} Etapas de agregación.
+ */
+export const buildBoardSavedPinsLookupStages = (boardId) => [
+  {
+    $lookup: {
+      from: Save.collection.name,
+      localField: '_id',
+      foreignField: 'pin',
+      as: 'boardSaves',
+      pipeline: [
+        { $match: { 'boards.board': boardId } },
+        { $unwind: '$boards' },
+        { $match: { 'boards.board': boardId } },
+        { $project: { savedAt: '$boards.savedAt' } },
+      ],
+    },
+  },
+  {
+    $addFields: {
+      boardSavedAt: {
+        $cond: [
+          { $eq: ['$board', boardId] },
+          null,
+          { $max: '$boardSaves.savedAt' },
+        ],
+      },
+    },
+  },
+  { $match: { $or: [{ board: boardId }, { boardSavedAt: { $ne: null } }] } },
+  { $project: { boardSaves: 0 } },
+]
+
+/**
+ * Construye la etapa de agregación que calcula `boardPosition`, la posición efectiva del pin
+ * en su tablero. Los pines creados antes de existir el orden manual usan su fecha de creación
+ * y los pines guardados en el tablero (con `boardSavedAt`), la fecha en que se guardaron.
+ *
+ * @returns {Object} Etapa `$addFields`.
+ */
+export const buildBoardPositionStage = () => ({
+  $addFields: {
+    boardPosition: {
+      $ifNull: [
+        { $toDouble: '$boardSavedAt' },
+        '$position',
+        { $toDouble: '$createdAt' },
+      ],
+    },
+  },
+})
+
+/**
+ * Obtiene la posición efectiva de un pin.
+ *
+ * @private
+ * @param {Object} pin - Pin.
+ * @returns {number} Posición del pin o su fecha de creación en milisegundos.
+ */
+const getEffectivePosition = (pin) => pin.position ?? pin.createdAt.getTime()
+
+/**
+ * Busca el pin vecino de otro pin en un tablero.
+ *
+ * @private
+ * @async
+ * @param {import('mongoose').Types.ObjectId} boardId - ID del tablero.
+ * @param {import('mongoose').Types.ObjectId} excludedPinId - Pin que se está moviendo.
+ * @param {Object} positionFilter - Filtro sobre `boardPosition`.
+ * @param {1|-1} order - Dirección en la que se busca el vecino.
+ * @returns {Promise<Object|undefined>} Pin vecino con su `boardPosition`.
+ */
+const findNeighbourPin = async (boardId, excludedPinId, positionFilter, order) => {
+  const [neighbour] = await Pin.aggregate([
+    { $match: { board: boardId, _id: { $ne: excludedPinId } } },
+    buildBoardPositionStage(),
+    { $match: { boardPosition: positionFilter } },
+    { $sort: { boardPosition: order, _id: order } },
+    { $limit: 1 },
+  ])
+
+  return neighbour
+}
+
+/**
+ * Reasigna posiciones equidistantes a todos los pines de un tablero conservando su orden.
+ *
+ * @async
+ * @param {import('mongoose').Types.ObjectId} boardId - ID del tablero.
+ * @returns {Promise<void>}
+ */
+export const rebalancePinPositions = async (boardId) => {
+  const pins = await Pin.aggregate([
+    { $match: { board: boardId } },
+    buildBoardPositionStage(),
+    { $sort: { boardPosition: -1, _id: -1 } },
+    { $project: { _id: 1 } },
+  ])
+
+  await Pin.bulkWrite(
+    pins.map((pin, index) => ({
+      updateOne: {
+        filter: { _id: pin._id },
+        update: { $set: { position: (pins.length - index) * POSITION_STEP } },
+      },
+    }))
+  )
+}
+
+/**
+ * Calcula la posición que deja un pin justo antes de otro en el orden del tablero, o al
+ * final si no se indica ninguno. Si no queda espacio entre las posiciones vecinas, el
+ * tablero se redistribuye antes de calcularla.
+ *
+ * @async
+ * @param {Object} pin - Pin que se mueve.
+ * @param {Object|null} beforePin - Pin delante del cual se coloca, del mismo tablero, o `null` para moverlo al final.
+ * @returns {Promise<number>} Nueva posición del pin.
+ */
+export const getPositionBefore = async (pin, beforePin) => {
+  if (!beforePin) {
+    const last = await findNeighbourPin(pin.board, pin._id, { $exists: true }, 1)
+
+    return last ? last.boardPosition - POSITION_STEP : getTopPosition()
+  }
+
+  const beforePosition = getEffectivePosition(beforePin)
+
+  const previous = await findNeighbourPin(
+    pin.board,
+    pin._id,
+    { $gt: beforePosition },
+    1
+  )
+
+  if (!previous) return beforePosition + POSITION_STEP
+
+  if (previous.boardPosition - beforePosition < MIN_POSITION_GAP) {
+    await rebalancePinPositions(pin.board)
+
+    return getPositionBefore(pin, await Pin.findById(beforePin._id))
+  }
+
+  return (previous.boardPosition + beforePosition) / 2
+}
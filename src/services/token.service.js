@@ -0,0 +1,80 @@
+import { createHash, randomBytes } from 'node:crypto'
+import Token from '../models/token.model.js'
+
+/**
+ * Tokens de un solo uso enviados por correo (por ejemplo, para restablecer la contraseña).
+ *
+ * El token original se genera aleatoriamente y solo se entrega al usuario; en la base de
+ * datos se guarda su hash, de modo que una filtración de la colección no permite usarlos.
+ *
+ * @module tokenService
+ */
+
+/**
+ * Calcula el hash con el que se guarda un token.
+ *
+ * @private
+ * @param {string} token - Token original.
+ * @returns {string} Hash SHA-256 en hexadecimal.
+ */
+const hashToken = (token) => createHash('sha256').update(token).digest('hex')
+
+/**
+ * Crea un token de un solo uso para el usuario y anula los anteriores del mismo tipo.
+ *
+ * @async
+ * @param {import('mongoose').Types.ObjectId} userId - Usuario del token.
+ * @param {string} type - Tipo de token (ver `TOKEN_TYPES`).
+ * @param {number} ttl - Validez del token en milisegundos.
+ * @returns {Promise<string>} Token original, que solo debe enviarse al usuario.
+ */
+export const createToken = async (userId, type, ttl) => {
+  const token = randomBytes(32).toString('base64url')
+
+  await Token.deleteMany({ user: userId, type })
+  await Token.create({
+    user: userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttl),
+  })
+
+  return token
+}
+
+/**
+ * Marca como usado un token vigente y devuelve su documento.
+ *
+ * La actualización es atómica, de modo que un mismo token solo puede consumirse una vez.
+ *
+ * @async
+ * @param {string} token - Token original recibido del usuario.
+ * @param {string} type - Tipo de token esperado.
+ * @returns {Promise<import('mongoose').Document|null>} Token consumido, o `null` si no existe, caducó o ya se usó.
+ */
+export const consumeToken = async (token, type) => {
+  const now = new Date()
+
+  return Token.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      type,
+      usedAt: null,
+      expiresAt: { $gt: now },
+    },
+    { usedAt: now },
+    { new: true }
+  )
+}
+
+/**
+ * Elimina los tokens de un tipo del usuario, usados o no.
+ *
+ * @async
+ * @param {import('mongoose').Types.ObjectId} userId - Usuario de los tokens.
+ * @param {string} type - Tipo de token.
+ * @returns {Promise<void>}
+ */
+export const revokeTokens = async (userId, type) => {
+  await Token.deleteMany({ user: userId, type })
+}
@@ -0,0 +1,238 @@
+import { TRENDING_CACHE_TTL } from '../constants/config.js'
+import Comment from '../models/comment.model.js'
+import Like from '../models/like.model.js'
+import Pin from '../models/pin.model.js'
+import Save from '../models/save.model.js'
+import { getOrSetCache } from '../utils/cache.util.js'
+
+/**
+ * Cálculo de tendencias a partir de la actividad reciente (likes, guardados y comentarios).
+ *
+ * Cada interacción suma su peso multiplicado por un decaimiento exponencial según su
+ * antigüedad, de modo que la actividad reciente cuenta más. Las etiquetas se ordenan por el
+ * aumento de actividad respecto a la ventana anterior. Los resultados se guardan en
+ * caché durante `TRENDING_CACHE_TTL` para no repetir la agregación en cada petición.
+ *
+ * @module trendingService
+ */
+
+/**
+ * Duración en milisegundos de cada ventana de tiempo admitida.
+ *
+ * @type {Object<string, number>}
+ */
+export const TRENDING_WINDOWS = {
+  '24h': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000,
+  '30d': 30 * 24 * 60 * 60 * 1000,
+}
+
+/**
+ * Peso de cada tipo de interacción en la puntuación.
+ *
+ * @private
+ * @constant {{like: number, save: number, comment: number}}
+ */
+const INTERACTION_WEIGHTS = {
+  like: 1,
+  save: 2,
+  comment: 1.5,
+}
+
+/**
+ * Fracción de la ventana tras la cual una interacción vale la mitad.
+ *
+ * @private
+ * @constant {number}
+ */
+const HALF_LIFE_RATIO = 0.25
+
+/**
+ * Número máximo de pines en tendencia que se calculan por ventana.
+ *
+ * @private
+ * @constant {number}
+ */
+const TRENDING_PINS_LIMIT = 500
+
+/**
+ * Número máximo de etiquetas en tendencia que se calculan por ventana.
+ *
+ * @private
+ * @constant {number}
+ */
+const TRENDING_TAGS_LIMIT = 50
+
+/**
+ * Construye las etapas de agregación, sobre la colección de likes, que reúnen las interacciones
+ * de la ventana actual y de la anterior de la misma duración, y calculan la puntuación con
+ * decaimiento de cada pin en ambas (`_id`, `score` y `previousScore`).
+ *
+ * El decaimiento de cada interacción se mide desde el final de su ventana, de modo que las dos
+ * puntuaciones son comparables. Cada guardado en un tablero cuenta en su `boards.savedAt`, también
+ * cuando el pin ya estaba guardado en otro tablero; los guardados sin tablero cuentan en su
+ * `createdAt`.
+ *
+ * @private
+ * @param {string} window - Ventana de tiempo (clave de `TRENDING_WINDOWS`).
+ * @param {Object} [options] - Opciones del cálculo.
+ * @param {boolean} [options.withPrevious=false] - Incluye la ventana anterior en `previousScore`.
+ * @returns {Object[]} Etapas de agregación.
+ */
+const buildPinActivityStages = (window, { withPrevious = false } = {}) => {
+  const now = new Date()
+  const duration = TRENDING_WINDOWS[window]
+  const since = new Date(now.getTime() - duration * (withPrevious ? 2 : 1))
+  const halfLife = duration * HALF_LIFE_RATIO
+
+  const interactionStages = (weight) => [
+    { $match: { createdAt: { $gte: since } } },
+    { $project: { pin: 1, createdAt: 1, weight: { $literal: weight } } },
+  ]
+
+  // Un evento por tablero en que se guardó el pin, o uno solo si se guardó en el perfil
+  const saveStages = [
+    {
+      $match: {
+        $or: [
+          { createdAt: { $gte: since } },
+          { 'boards.savedAt': { $gte: since } },
+        ],
+      },
+    },
+    {
+      $project: {
+        pin: 1,
+        createdAt: {
+          $cond: [
+            { $gt: [{ $size: { $ifNull: ['$boards', []] } }, 0] },
+            '$boards.savedAt',
+            ['$createdAt'],
+          ],
+        },
+      },
+    },
+    { $unwind: '$createdAt' },
+    ...interactionStages(INTERACTION_WEIGHTS.save),
+  ]
+
+  const age = { $subtract: [now, '$createdAt'] }
+  // 0 para la ventana actual y 1 para la anterior
+  const period = { $min: [{ $floor: { $divide: [age, duration] } }, 1] }
+  // Antigüedad medida desde el final de la ventana de la interacción
+  const ageInPeriod = { $subtract: [age, { $multiply: ['$period', duration] }] }
+
+  const sumPeriod = (value) => ({
+    $sum: { $cond: [{ $eq: ['$period', value] }, '$decayedScore', 0] },
+  })
+
+  return [
+    ...interactionStages(INTERACTION_WEIGHTS.like),
+    {
+      $unionWith: {
+        coll: Save.collection.name,
+        pipeline: saveStages,
+      },
+    },
+    {
+      $unionWith: {
+        coll: Comment.collection.name,
+        pipeline: interactionStages(INTERACTION_WEIGHTS.comment),
+      },
+    },
+    { $set: { period } },
+    {
+      $set: {
+        decayedScore: {
+          $multiply: [
+            '$weight',
+            { $pow: [0.5, { $divide: [ageInPeriod, halfLife] }] },
+          ],
+        },
+      },
+    },
+    {
+      $group: {
+        _id: '$pin',
+        score: sumPeriod(0),
+        previousScore: sumPeriod(1),
+      },
+    },
+  ]
+}
+
+/**
+ * Obtiene los pines con más actividad reciente en la ventana indicada, de mayor a menor
+ * puntuación. El resultado no aplica la visibilidad de los tableros secretos, que debe
+ * filtrarse para cada usuario.
+ *
+ * @async
+ * @param {string} window - Ventana de tiempo (clave de `TRENDING_WINDOWS`).
+ * @returns {Promise<{pinIds: import('mongoose').Types.ObjectId[], scores: number[]}>} Pines y puntuaciones como listas paralelas.
+ */
+export const getTrendingPinScores = (window) =>
+  getOrSetCache(`trending:pins:${window}`, TRENDING_CACHE_TTL, async () => {
+    const results = await Like.aggregate([
+      ...buildPinActivityStages(window),
+      { $sort: { score: -1, _id: -1 } },
+      { $limit: TRENDING_PINS_LIMIT },
+    ])
+
+    return {
+      pinIds: results.map((item) => item._id),
+      scores: results.map((item) => item.score),
+    }
+  })
+
+/**
+ * Obtiene las etiquetas que más actividad han ganado en la ventana indicada respecto a la
+ * ventana anterior de la misma duración. La actividad de una etiqueta es la suma de la
+ * puntuación de los pines públicos que la usan, y `growth` es la diferencia entre ambas
+ * ventanas; solo se devuelven las etiquetas que crecen.
+ *
+ * @async
+ * @param {string} window - Ventana de tiempo (clave de `TRENDING_WINDOWS`).
+ * @returns {Promise<Array<{tag: string, score: number, previousScore: number, growth: number, pinCount: number}>>} Etiquetas de mayor a menor crecimiento.
+ */
+export const getTrendingTagScores = (window) =>
+  getOrSetCache(`trending:tags:${window}`, TRENDING_CACHE_TTL, () =>
+    Like.aggregate([
+      ...buildPinActivityStages(window, { withPrevious: true }),
+      {
+        $lookup: {
+          from: Pin.collection.name,
+          localField: '_id',
+          foreignField: '_id',
+          pipeline: [
+            { $match: { secret: { $ne: true } } },
+            { $project: { tags: 1 } },
+          ],
+          as: 'pin',
+        },
+      },
+      { $unwind: '$pin' },
+      { $unwind: '$pin.tags' },
+      {
+        $group: {
+          _id: { $toLower: '$pin.tags' },
+          score: { $sum: '$score' },
+          previousScore: { $sum: '$previousScore' },
+          pinCount: { $sum: { $cond: [{ $gt: ['$score', 0] }, 1, 0] } },
+        },
+      },
+      { $set: { growth: { $subtract: ['$score', '$previousScore'] } } },
+      { $match: { growth: { $gt: 0 } } },
+      { $sort: { growth: -1, score: -1, _id: 1 } },
+      { $limit: TRENDING_TAGS_LIMIT },
+      {
+        $project: {
+          _id: 0,
+          tag: '$_id',
+          score: 1,
+          previousScore: 1,
+          growth: 1,
+          pinCount: 1,
+        },
+      },
+    ])
+  )
@@ -0,0 +1,79 @@
+import ImageKit from 'imagekit'
+import {
+  IMAGEKIT_FOLDER,
+  IMAGEKIT_PRIVATE_KEY,
+  IMAGEKIT_PUBLIC_KEY,
+  IMAGEKIT_URL_ENDPOINT,
+} from '../constants/config.js'
+
+/**
+ * Proveedor de almacenamiento que sube los archivos a ImageKit.
+ *
+ * Las claves se guardan dentro de `IMAGEKIT_FOLDER`. Las claves que empiezan por `/`
+ * corresponden a pines antiguos que guardaban el `filePath` completo de ImageKit.
+ *
+ * @module imageKitStorage
+ */
+
+let client
+
+/**
+ * Devuelve el cliente de ImageKit, creándolo en el primer uso para que el servidor
+ * pueda arrancar sin credenciales cuando se usa otro proveedor.
+ *
+ * @private
+ * @returns {ImageKit} Cliente de ImageKit.
+ */
+const getClient = () => {
+  if (!client) {
+    client = new ImageKit({
+      publicKey: IMAGEKIT_PUBLIC_KEY,
+      privateKey: IMAGEKIT_PRIVATE_KEY,
+      urlEndpoint: IMAGEKIT_URL_ENDPOINT,
+    })
+  }
+
+  return client
+}
+
+/**
+ * Convierte una clave en la ruta completa del archivo dentro de ImageKit.
+ *
+ * @private
+ * @param {string} key - Clave del archivo.
+ * @returns {string} Ruta del archivo en ImageKit.
+ */
+const toFilePath = (key) =>
+  key.startsWith('/') ? key : `/${IMAGEKIT_FOLDER}/${key}`
+
+/**
+ * @type {import('./storage.js').MediaStorage}
+ */
+export const imageKitStorage = {
+  upload: async (data, key) => {
+    const filePath = toFilePath(key)
+
+    const result = await getClient().upload({
+      file: data,
+      fileName: filePath.substring(filePath.lastIndexOf('/') + 1),
+      folder: filePath.substring(0, filePath.lastIndexOf('/')),
+      useUniqueFileName: false,
+    })
+
+    return { key, width: result.width, height: result.height }
+  },
+
+  remove: async (key) => {
+    const filePath = toFilePath(key)
+
+    // ImageKit solo permite borrar por fileId, así que se busca por carpeta y nombre
+    const files = await getClient().listFiles({
+      path: filePath.substring(0, filePath.lastIndexOf('/')) || '/',
+      searchQuery: `name = "${filePath.substring(filePath.lastIndexOf('/') + 1)}"`,
+    })
+
+    await Promise.all(files.map((file) => getClient().deleteFile(file.fileId)))
+  },
+
+  getUrl: (key) => `${IMAGEKIT_URL_ENDPOINT}${toFilePath(key)}`,
+}
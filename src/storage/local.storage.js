@@ -0,0 +1,62 @@
+import { mkdir, rm, writeFile } from 'node:fs/promises'
+import { dirname, resolve, sep } from 'node:path'
+import {
+  LOCAL_STORAGE_DIR,
+  LOCAL_STORAGE_URL_PATH,
+  SERVER_URL,
+} from '../constants/config.js'
+
+/**
+ * Proveedor de almacenamiento que guarda los archivos en el sistema de archivos local.
+ *
+ * Los archivos se sirven desde la propia aplicación Express bajo `LOCAL_STORAGE_URL_PATH`.
+ *
+ * @module localStorage
+ */
+
+const rootDir = resolve(LOCAL_STORAGE_DIR)
+
+/**
+ * Resuelve la ruta absoluta de una clave asegurando que no salga del directorio raíz.
+ *
+ * @private
+ * @param {string} key - Clave del archivo.
+ * @returns {string} Ruta absoluta del archivo.
+ * @throws {Error} Si la clave apunta fuera del directorio de almacenamiento.
+ */
+const resolveKeyPath = (key) => {
+  const filePath = resolve(rootDir, key)
+
+  if (!filePath.startsWith(rootDir + sep)) {
+    throw new Error(`Clave de archivo no válida: ${key}`)
+  }
+
+  return filePath
+}
+
+/**
+ * Directorio absoluto desde el que se sirven los archivos.
+ *
+ * @type {string}
+ */
+export const localStorageDir = rootDir
+
+/**
+ * @type {import('./storage.js').MediaStorage}
+ */
+export const localStorage = {
+  upload: async (data, key) => {
+    const filePath = resolveKeyPath(key)
+
+    await mkdir(dirname(filePath), { recursive: true })
+    await writeFile(filePath, data)
+
+    return { key }
+  },
+
+  remove: async (key) => {
+    await rm(resolveKeyPath(key), { force: true })
+  },
+
+  getUrl: (key) => `${SERVER_URL}${LOCAL_STORAGE_URL_PATH}/${key}`,
+}
@@ -0,0 +1,63 @@
+import { randomUUID } from 'node:crypto'
+import { extname } from 'node:path'
+import { STORAGE_PROVIDER } from '../constants/config.js'
+import { imageKitStorage } from './imagekit.storage.js'
+import { localStorage } from './local.storage.js'
+
+/**
+ * Abstracción del almacenamiento de archivos multimedia.
+ *
+ * El proveedor se elige con `STORAGE_PROVIDER` en `constants/config.js`. Los documentos
+ * guardan solo la clave del archivo, independiente del proveedor, y la URL pública se
+ * calcula al serializarlos.
+ *
+ * @module storage
+ */
+
+/**
+ * Contrato que debe cumplir cada proveedor de almacenamiento.
+ *
+ * @typedef {Object} MediaStorage
+ * @property {(data: Buffer, key: string) => Promise<{key: string, width?: number, height?: number}>} upload - Sube un archivo con la clave indicada.
+ * @property {(key: string) => Promise<void>} remove - Elimina el archivo asociado a la clave.
+ * @property {(key: string) => string} getUrl - Devuelve la URL pública del archivo.
+ */
+
+/**
+ * Proveedores disponibles indexados por nombre.
+ *
+ * @type {Object<string, MediaStorage>}
+ */
+const providers = {
+  local: localStorage,
+  imagekit: imageKitStorage,
+}
+
+if (!providers[STORAGE_PROVIDER]) {
+  throw new Error(`Proveedor de almacenamiento desconocido: ${STORAGE_PROVIDER}`)
+}
+
+/**
+ * Proveedor de almacenamiento configurado.
+ *
+ * @type {MediaStorage}
+ */
+export const storage = providers[STORAGE_PROVIDER]
+
+/**
+ * Genera una clave única para un archivo nuevo conservando su extensión.
+ *
+ * @param {string} folder - Carpeta lógica del archivo (por ejemplo, `pins`).
+ * @param {string} fileName - Nombre original del archivo subido.
+ * @returns {string} Clave del archivo, por ejemplo `pins/3f1c...e9.jpg`.
+ */
+export const createMediaKey = (folder, fileName) =>
+  `${folder}/${randomUUID()}${extname(fileName || '').toLowerCase()}`
+
+/**
+ * Devuelve la URL pública de un archivo a partir de su clave.
+ *
+ * @param {string} [key] - Clave del archivo.
+ * @returns {string|null} URL pública o `null` si no hay clave.
+ */
+export const getMediaUrl = (key) => (key ? storage.getUrl(key) : null)
@@ -0,0 +1,52 @@
+/**
+ * Caché en memoria con caducidad para resultados costosos de calcular.
+ *
+ * La caché es local al proceso: cada instancia del servidor mantiene la suya.
+ *
+ * @module cache
+ */
+
+/**
+ * Entradas de la caché por clave.
+ *
+ * @private
+ * @type {Map<string, {value: *, expiresAt: number}>}
+ */
+const entries = new Map()
+
+/**
+ * Cálculos en curso por clave, para que las peticiones simultáneas compartan el mismo cálculo.
+ *
+ * @private
+ * @type {Map<string, Promise<*>>}
+ */
+const pending = new Map()
+
+/**
+ * Devuelve el valor guardado en la caché o lo calcula con `loader` si no existe o ha caducado.
+ *
+ * @async
+ * @param {string} key - Clave de la entrada.
+ * @param {number} ttl - Tiempo de vida de la entrada en milisegundos.
+ * @param {() => Promise<*>} loader - Función que calcula el valor.
+ * @returns {Promise<*>} Valor guardado o recién calculado.
+ */
+export const getOrSetCache = async (key, ttl, loader) => {
+  const entry = entries.get(key)
+
+  if (entry && entry.expiresAt > Date.now()) return entry.value
+
+  if (pending.has(key)) return pending.get(key)
+
+  const promise = loader()
+    .then((value) => {
+      entries.set(key, { value, expiresAt: Date.now() + ttl })
+
+      return value
+    })
+    .finally(() => pending.delete(key))
+
+  pending.set(key, promise)
+
+  return promise
+}
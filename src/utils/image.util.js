@@ -0,0 +1,290 @@
+import { Buffer } from 'node:buffer'
+import sharp from 'sharp'
+
+/**
+ * Utilidades para renderizar en el servidor la salida del editor de pines.
+ *
+ * El cálculo del lienzo está separado del renderizado para poder probarlo sin procesar imágenes.
+ *
+ * @module image
+ */
+
+/**
+ * Ancho en píxeles del lienzo del editor en el cliente, usado como referencia para
+ * escalar la posición horizontal del texto.
+ *
+ * @type {number}
+ */
+export const CLIENT_CANVAS_WIDTH = 375
+
+/**
+ * Factor con el que se escala el tamaño de fuente del editor a la imagen final.
+ *
+ * @type {number}
+ */
+export const TEXT_SCALE_FACTOR = 2.1
+
+const DEFAULT_BACKGROUND_COLOR = '#ffffff'
+const DEFAULT_TEXT_COLOR = '#000000'
+const HEX_COLOR_REGEX = /^#(?:[0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i
+
+/**
+ * Diseño final de la imagen de un pin.
+ *
+ * @typedef {Object} CanvasLayout
+ * @property {number} width - Ancho final en píxeles.
+ * @property {number} height - Alto final en píxeles.
+ * @property {'cover'|'contain'} fit - `cover` recorta la imagen al tamaño final y `contain` la rellena con el color de fondo.
+ * @property {string} backgroundColor - Color de fondo en formato hexadecimal.
+ * @property {Object|null} text - Capa de texto o `null` si no hay texto.
+ * @property {string} text.value - Contenido del texto.
+ * @property {number} text.fontSize - Tamaño de fuente en píxeles de la imagen final.
+ * @property {number} text.left - Posición horizontal en píxeles de la imagen final.
+ * @property {number} text.top - Posición vertical en píxeles de la imagen final.
+ * @property {string} text.color - Color del texto en formato hexadecimal.
+ */
+
+/**
+ * Devuelve el color si es un hexadecimal válido o el color por defecto en caso contrario.
+ *
+ * @private
+ * @param {string} color - Color enviado por el cliente.
+ * @param {string} fallback - Color por defecto.
+ * @returns {string} Color hexadecimal.
+ */
+const normalizeColor = (color, fallback) =>
+  HEX_COLOR_REGEX.test(color || '') ? color : fallback
+
+/**
+ * Convierte un valor a número finito, usando 0 si no lo es.
+ *
+ * @private
+ * @param {*} value - Valor a convertir.
+ * @returns {number} Número finito.
+ */
+const toFiniteNumber = (value) =>
+  Number.isFinite(Number(value)) ? Number(value) : 0
+
+/**
+ * Calcula la relación de aspecto que el usuario eligió en el editor.
+ *
+ * @private
+ * @param {number} originalAspectRatio - Relación de aspecto de la imagen original.
+ * @param {'portrait'|'landscape'} originalOrientation - Orientación de la imagen original.
+ * @param {Object} canvasOptions - Opciones del lienzo enviadas por el cliente.
+ * @returns {number} Relación de aspecto (ancho / alto) del lienzo.
+ */
+const getClientAspectRatio = (
+  originalAspectRatio,
+  originalOrientation,
+  canvasOptions
+) => {
+  if (canvasOptions.size && canvasOptions.size !== 'original') {
+    const [ratioWidth, ratioHeight] = canvasOptions.size.split(':').map(Number)
+
+    if (ratioWidth > 0 && ratioHeight > 0) return ratioWidth / ratioHeight
+  }
+
+  if (
+    !canvasOptions.orientation ||
+    canvasOptions.orientation === originalOrientation
+  ) {
+    return originalAspectRatio
+  }
+
+  return 1 / originalAspectRatio
+}
+
+/**
+ * Calcula el tamaño final, la estrategia de recorte y la capa de texto de un pin a partir
+ * de las dimensiones de la imagen original y de las opciones del editor.
+ *
+ * Se mantiene el ancho original y el alto se deriva de la relación de aspecto elegida.
+ * La imagen se rellena (`contain`) cuando es más ancha que el lienzo o cuando una imagen
+ * horizontal se coloca en un lienzo vertical; en otro caso se recorta (`cover`).
+ *
+ * @param {{width: number, height: number}} dimensions - Dimensiones de la imagen original.
+ * @param {Object} [canvasOptions={}] - Opciones del lienzo (size, orientation, height, backgroundColor).
+ * @param {Object} [textOptions={}] - Opciones del texto (text, fontSize, left, top, color).
+ * @returns {CanvasLayout} Diseño final de la imagen.
+ */
+export const computeCanvasLayout = (
+  dimensions,
+  canvasOptions = {},
+  textOptions = {}
+) => {
+  const originalOrientation =
+    dimensions.width < dimensions.height ? 'portrait' : 'landscape'
+  const originalAspectRatio = dimensions.width / dimensions.height
+
+  const clientAspectRatio = getClientAspectRatio(
+    originalAspectRatio,
+    originalOrientation,
+    canvasOptions
+  )
+
+  const width = dimensions.width
+  const height = Math.round(dimensions.width / clientAspectRatio)
+
+  const isOriginalSize = !canvasOptions.size || canvasOptions.size === 'original'
+
+  const shouldPad = isOriginalSize
+    ? originalOrientation === 'landscape' &&
+      canvasOptions.orientation === 'portrait'
+    : originalAspectRatio > clientAspectRatio
+
+  const clientCanvasHeight = toFiniteNumber(canvasOptions.height)
+
+  const text = textOptions.text
+    ? {
+        value: String(textOptions.text),
+        fontSize: toFiniteNumber(textOptions.fontSize) * TEXT_SCALE_FACTOR,
+        left: Math.round(
+          (toFiniteNumber(textOptions.left) * width) / CLIENT_CANVAS_WIDTH
+        ),
+        top: clientCanvasHeight
+          ? Math.round(
+              (toFiniteNumber(textOptions.top) * height) / clientCanvasHeight
+            )
+          : 0,
+        color: normalizeColor(textOptions.color, DEFAULT_TEXT_COLOR),
+      }
+    : null
+
+  return {
+    width,
+    height,
+    fit: shouldPad ? 'contain' : 'cover',
+    backgroundColor: normalizeColor(
+      canvasOptions.backgroundColor,
+      DEFAULT_BACKGROUND_COLOR
+    ),
+    text,
+  }
+}
+
+/**
+ * Escapa los caracteres especiales de XML para insertar texto en un SVG.
+ *
+ * @private
+ * @param {string} value - Texto a escapar.
+ * @returns {string} Texto escapado.
+ */
+const escapeXml = (value) =>
+  value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+
+/**
+ * Genera el SVG con la capa de texto del tamaño de la imagen final.
+ *
+ * @param {CanvasLayout} layout - Diseño calculado con `computeCanvasLayout`.
+ * @returns {string} Documento SVG con el texto posicionado.
+ */
+export const buildTextOverlay = ({ width, height, text }) =>
+  `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+  `<text x="${text.left}" y="${text.top}" font-size="${text.fontSize}" fill="${text.color}" ` +
+  `font-family="sans-serif" dominant-baseline="hanging">${escapeXml(text.value)}</text>` +
+  '</svg>'
+
+/**
+ * Obtiene las dimensiones de una imagen tal como se muestra, teniendo en cuenta la
+ * orientación EXIF.
+ *
+ * @async
+ * @param {Buffer} data - Contenido de la imagen.
+ * @returns {Promise<{width: number, height: number}>} Dimensiones visibles de la imagen.
+ */
+export const getImageDimensions = async (data) => {
+  const metadata = await sharp(data).metadata()
+
+  // Las orientaciones EXIF 5 a 8 rotan la imagen 90 grados
+  return metadata.orientation >= 5
+    ? { width: metadata.height, height: metadata.width }
+    : { width: metadata.width, height: metadata.height }
+}
+
+/**
+ * Renderiza la imagen final de un pin aplicando el recorte o relleno, el color de fondo
+ * y la capa de texto elegidos en el editor.
+ *
+ * @async
+ * @param {Buffer} data - Contenido de la imagen original.
+ * @param {Object} [canvasOptions={}] - Opciones del lienzo enviadas por el cliente.
+ * @param {Object} [textOptions={}] - Opciones del texto enviadas por el cliente.
+ * @returns {Promise<{data: Buffer, width: number, height: number}>} Imagen renderizada y sus dimensiones.
+ */
+export const renderPinImage = async (
+  data,
+  canvasOptions = {},
+  textOptions = {}
+) => {
+  const dimensions = await getImageDimensions(data)
+  const layout = computeCanvasLayout(dimensions, canvasOptions, textOptions)
+
+  let pipeline = sharp(data)
+    .rotate()
+    .flatten({ background: layout.backgroundColor })
+    .resize({
+      width: layout.width,
+      height: layout.height,
+      fit: layout.fit,
+      background: layout.backgroundColor,
+    })
+
+  if (layout.text) {
+    pipeline = pipeline.composite([
+      { input: Buffer.from(buildTextOverlay(layout)), top: 0, left: 0 },
+    ])
+  }
+
+  const { data: output, info } = await pipeline.toBuffer({
+    resolveWithObject: true,
+  })
+
+  return { data: output, width: info.width, height: info.height }
+}
+
+/**
+ * Tamaños en píxeles de las versiones del avatar.
+ *
+ * @type {{small: number, medium: number, large: number}}
+ */
+export const AVATAR_SIZES = {
+  small: 64,
+  medium: 256,
+  large: 512,
+}
+
+/**
+ * Genera las versiones del avatar de un usuario: recorta la imagen a un cuadrado centrado
+ * en la zona de mayor interés y la redimensiona a cada tamaño de `AVATAR_SIZES` en WebP.
+ *
+ * @async
+ * @param {Buffer} data - Imagen original.
+ * @returns {Promise<Object<string, Buffer>>} Imagen de cada tamaño indexada por nombre.
+ */
+export const renderAvatarImages = async (data) => {
+  const base = sharp(data).rotate()
+
+  const entries = await Promise.all(
+    Object.entries(AVATAR_SIZES).map(async ([name, size]) => [
+      name,
+      await base
+        .clone()
+        .resize({
+          width: size,
+          height: size,
+          fit: 'cover',
+          position: sharp.strategy.attention,
+        })
+        .webp()
+        .toBuffer(),
+    ])
+  )
+
+  return Object.fromEntries(entries)
+}
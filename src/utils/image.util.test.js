@@ -0,0 +1,112 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import {
+  CLIENT_CANVAS_WIDTH,
+  TEXT_SCALE_FACTOR,
+  buildTextOverlay,
+  computeCanvasLayout,
+} from './image.util.js'
+
+describe('computeCanvasLayout', () => {
+  it('mantiene el tamaño original y recorta si no se cambia el lienzo', () => {
+    const layout = computeCanvasLayout({ width: 600, height: 900 })
+
+    assert.equal(layout.width, 600)
+    assert.equal(layout.height, 900)
+    assert.equal(layout.fit, 'cover')
+    assert.equal(layout.backgroundColor, '#ffffff')
+    assert.equal(layout.text, null)
+  })
+
+  it('invierte la relación y rellena una imagen horizontal en un lienzo vertical', () => {
+    const layout = computeCanvasLayout(
+      { width: 900, height: 600 },
+      { orientation: 'portrait', backgroundColor: '#ff0000' }
+    )
+
+    assert.equal(layout.width, 900)
+    assert.equal(layout.height, 1350)
+    assert.equal(layout.fit, 'contain')
+    assert.equal(layout.backgroundColor, '#ff0000')
+  })
+
+  it('rellena con una proporción fija si la imagen es más ancha que el lienzo', () => {
+    const layout = computeCanvasLayout(
+      { width: 900, height: 600 },
+      { size: '1:1' }
+    )
+
+    assert.equal(layout.height, 900)
+    assert.equal(layout.fit, 'contain')
+  })
+
+  it('recorta con una proporción fija si la imagen es más estrecha que el lienzo', () => {
+    const layout = computeCanvasLayout(
+      { width: 600, height: 1200 },
+      { size: '2:3' }
+    )
+
+    assert.equal(layout.height, 900)
+    assert.equal(layout.fit, 'cover')
+  })
+
+  it('ignora una proporción no válida y usa la original', () => {
+    const layout = computeCanvasLayout(
+      { width: 600, height: 900 },
+      { size: '0:3' }
+    )
+
+    assert.equal(layout.height, 900)
+  })
+
+  it('escala el texto desde el lienzo del cliente a la imagen final', () => {
+    const layout = computeCanvasLayout(
+      { width: 750, height: 1000 },
+      { height: 500, backgroundColor: 'red' },
+      { text: 'Hola', fontSize: 10, left: 187.5, top: 100, color: '#123abc' }
+    )
+
+    assert.equal(CLIENT_CANVAS_WIDTH, 375)
+    assert.equal(layout.backgroundColor, '#ffffff')
+    assert.deepEqual(layout.text, {
+      value: 'Hola',
+      fontSize: 10 * TEXT_SCALE_FACTOR,
+      left: 375,
+      top: 200,
+      color: '#123abc',
+    })
+  })
+
+  it('coloca el texto arriba si el cliente no envía la altura del lienzo', () => {
+    const layout = computeCanvasLayout(
+      { width: 750, height: 1000 },
+      {},
+      { text: 'Hola', left: 'abc', top: 100, color: 'azul' }
+    )
+
+    assert.equal(layout.text.left, 0)
+    assert.equal(layout.text.top, 0)
+    assert.equal(layout.text.fontSize, 0)
+    assert.equal(layout.text.color, '#000000')
+  })
+})
+
+describe('buildTextOverlay', () => {
+  it('posiciona y escapa el texto en el SVG', () => {
+    const svg = buildTextOverlay({
+      width: 100,
+      height: 50,
+      text: {
+        value: '<a & b>',
+        fontSize: 21,
+        left: 5,
+        top: 10,
+        color: '#000000',
+      },
+    })
+
+    assert.match(svg, /width="100" height="50"/)
+    assert.match(svg, /x="5" y="10" font-size="21"/)
+    assert.match(svg, />&lt;a &amp; b&gt;<\/text>/)
+  })
+})
@@ -0,0 +1,181 @@
+import { Buffer } from 'node:buffer'
+import { Types } from 'mongoose'
+import { PAGE_SIZE_DEFAULT, PAGE_SIZE_MAX } from '../constants/config.js'
+
+/**
+ * Utilidades para la paginación por cursor (keyset) de los listados.
+ *
+ * Cada listado define un orden estable como una lista de campos que termina en `_id`.
+ * El cursor es opaco para el cliente: codifica en base64url los valores de esos campos
+ * en el último elemento de la página, y la página siguiente empieza justo después de él.
+ * Así las páginas no se desplazan cuando se crean documentos nuevos y no se usa `skip`.
+ *
+ * Contrato de respuesta de todos los listados: `{ <elementos>, nextCursor }`, donde
+ * `nextCursor` es `null` en la última página.
+ *
+ * @module pagination
+ */
+
+/**
+ * Campo de ordenación de un listado.
+ *
+ * @typedef {Object} SortField
+ * @property {string} field - Nombre del campo en el documento.
+ * @property {1|-1} order - Dirección del orden (1 ascendente, -1 descendente).
+ * @property {'date'|'objectId'|'number'|'string'} type - Tipo del valor, usado para reconstruirlo desde el cursor.
+ */
+
+/**
+ * Orden por fecha de creación descendente, el más común en los listados.
+ *
+ * @type {SortField[]}
+ */
+export const NEWEST_FIRST = [
+  { field: 'createdAt', order: -1, type: 'date' },
+  { field: '_id', order: -1, type: 'objectId' },
+]
+
+/**
+ * Orden por fecha de creación ascendente, para listados cronológicos como las respuestas.
+ *
+ * @type {SortField[]}
+ */
+export const OLDEST_FIRST = [
+  { field: 'createdAt', order: 1, type: 'date' },
+  { field: '_id', order: 1, type: 'objectId' },
+]
+
+/**
+ * Calcula el tamaño de página a partir del valor solicitado, aplicando el valor por
+ * defecto y el máximo configurados.
+ *
+ * @param {string|number} [limit] - Tamaño de página solicitado.
+ * @returns {number} Tamaño de página entre 1 y `PAGE_SIZE_MAX`.
+ */
+export const getPageSize = (limit) => {
+  const size = Math.floor(Number(limit)) || PAGE_SIZE_DEFAULT
+
+  return Math.min(Math.max(size, 1), PAGE_SIZE_MAX)
+}
+
+/**
+ * Reconstruye un valor del cursor con el tipo del campo de ordenación.
+ *
+ * @private
+ * @param {*} value - Valor decodificado del JSON.
+ * @param {SortField['type']} type - Tipo esperado.
+ * @returns {*} Valor con su tipo o `undefined` si no es válido.
+ */
+const reviveValue = (value, type) => {
+  if (value === null) return null
+
+  if (type === 'date') {
+    const date = new Date(value)
+
+    return Number.isNaN(date.getTime()) ? undefined : date
+  }
+
+  if (type === 'objectId') {
+    return Types.ObjectId.isValid(value) ? new Types.ObjectId(value) : undefined
+  }
+
+  if (type === 'number') return typeof value === 'number' ? value : undefined
+
+  return typeof value === 'string' ? value : undefined
+}
+
+/**
+ * Codifica un cursor opaco con los valores de ordenación de un documento.
+ *
+ * @param {Object} item - Último documento de la página.
+ * @param {SortField[]} sortSpec - Orden del listado.
+ * @returns {string} Cursor en base64url.
+ */
+export const encodeCursor = (item, sortSpec) =>
+  Buffer.from(
+    JSON.stringify(sortSpec.map(({ field }) => item[field] ?? null))
+  ).toString('base64url')
+
+/**
+ * Decodifica un cursor opaco para el orden indicado.
+ *
+ * @param {string} cursor - Cursor recibido del cliente.
+ * @param {SortField[]} sortSpec - Orden del listado.
+ * @returns {Array|null} Valores de ordenación con su tipo, o `null` si el cursor no es válido
+ * para ese orden (por ejemplo, si se generó con otro modo de ordenación).
+ */
+export const decodeCursor = (cursor, sortSpec) => {
+  try {
+    const values = JSON.parse(Buffer.from(cursor, 'base64url').toString())
+
+    if (!Array.isArray(values) || values.length !== sortSpec.length) return null
+
+    const revived = values.map((value, index) =>
+      reviveValue(value, sortSpec[index].type)
+    )
+
+    return revived.includes(undefined) ? null : revived
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Construye el filtro que selecciona los documentos posteriores al cursor en el orden dado.
+ *
+ * @param {SortField[]} sortSpec - Orden del listado.
+ * @param {Array} values - Valores decodificados del cursor.
+ * @returns {Object} Filtro de MongoDB.
+ */
+export const buildKeysetFilter = (sortSpec, values) => ({
+  $or: sortSpec.map(({ field, order }, index) => ({
+    ...Object.fromEntries(
+      sortSpec.slice(0, index).map((previous, i) => [previous.field, values[i]])
+    ),
+    [field]: { [order === 1 ? '$gt' : '$lt']: values[index] },
+  })),
+})
+
+/**
+ * Convierte el orden del listado en el objeto de ordenación de MongoDB.
+ *
+ * @param {SortField[]} sortSpec - Orden del listado.
+ * @returns {Object} Objeto para `sort()` o `$sort`.
+ */
+export const toSortObject = (sortSpec) =>
+  Object.fromEntries(sortSpec.map(({ field, order }) => [field, order]))
+
+/**
+ * Construye las etapas de agregación que aplican el cursor, el orden y el límite de una
+ * página. Se pide un elemento extra para saber si hay página siguiente.
+ *
+ * @param {SortField[]} sortSpec - Orden del listado.
+ * @param {Array|null} after - Valores decodificados del cursor o `null` para la primera página.
+ * @param {number} pageSize - Tamaño de página.
+ * @returns {Object[]} Etapas de agregación.
+ */
+export const buildPageStages = (sortSpec, after, pageSize) => [
+  ...(after ? [{ $match: buildKeysetFilter(sortSpec, after) }] : []),
+  { $sort: toSortObject(sortSpec) },
+  { $limit: pageSize + 1 },
+]
+
+/**
+ * Recorta los resultados al tamaño de página y calcula el cursor siguiente.
+ *
+ * @param {Object[]} items - Resultados obtenidos con un elemento extra.
+ * @param {SortField[]} sortSpec - Orden del listado.
+ * @param {number} pageSize - Tamaño de página.
+ * @returns {{items: Object[], nextCursor: string|null}} Página y cursor siguiente.
+ */
+export const toPage = (items, sortSpec, pageSize) => {
+  const pageItems = items.slice(0, pageSize)
+
+  return {
+    items: pageItems,
+    nextCursor:
+      items.length > pageSize
+        ? encodeCursor(pageItems[pageItems.length - 1], sortSpec)
+        : null,
+  }
+}